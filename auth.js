@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Flux Mobile SRS Bridge Pricing - Authentication
+ *
+ * - Passwords are stored as scrypt hashes: scrypt$<saltHex>$<hashHex>
+ * - Users come from SRS_USERS ("name:role:hash" entries, comma-separated)
+ * - Sessions are random tokens held in memory (cleared on restart)
+ *
+ * Roles (each includes the ones before it):
+ * - viewer: can open the margins page and read the internal config
+ * - editor: can also change config and UI state
+ */
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'editor'];
+const SESSION_COOKIE = 'srs_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+  const salt = Buffer.from(parts[1], 'hex');
+  const expected = Buffer.from(parts[2], 'hex');
+  if (!salt.length || !expected.length) return false;
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hasRole(user, role) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Parse SRS_USERS into a Map of username -> { username, role, hash }
+ */
+function parseUsers(value) {
+  const users = new Map();
+  String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [username, role, hash] = entry.split(':');
+      if (!username || !ROLES.includes(role) || !hash) {
+        console.warn(`Ignoring invalid SRS_USERS entry for "${username || '?'}"`);
+        return;
+      }
+      users.set(username, { username, role, hash });
+    });
+  return users;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach((part) => {
+    const idx = part.indexOf('=');
+    if (idx < 0) return;
+    const key = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    if (!key) return;
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch (err) {
+      // Malformed encoding (e.g. a cookie another app on the domain set): keep it raw
+      cookies[key] = value;
+    }
+  });
+  return cookies;
+}
+
+function createSessionStore() {
+  const sessions = new Map();
+
+  function prune(now) {
+    sessions.forEach((session, token) => {
+      if (session.expiresAt <= now) sessions.delete(token);
+    });
+  }
+
+  return {
+    create(user) {
+      const now = Date.now();
+      prune(now);
+      const token = crypto.randomBytes(32).toString('hex');
+      sessions.set(token, { username: user.username, role: user.role, expiresAt: now + SESSION_TTL_MS });
+      return token;
+    },
+
+    get(token) {
+      if (!token) return null;
+      const session = sessions.get(token);
+      if (!session) return null;
+      if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return session;
+    },
+
+    destroy(token) {
+      sessions.delete(token);
+    },
+  };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  parseUsers,
+  parseCookies,
+  createSessionStore,
+};
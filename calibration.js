@@ -0,0 +1,267 @@
+'use strict';
+
+/**
+ * Flux Mobile SRS Bridge Pricing - Calibration
+ *
+ * Fits free config parameters to a target price table (PLAN.md "Calibration
+ * to Existing Quote Table") instead of adjusting them by hand:
+ * - targetCells(table, config) -> [{ monthlyRate, commitYears, contractYears, existingFleet, target }]
+ * - calibrate(config, { targets, parameters }) -> fitted config, parameter values and per-cell residuals
+ *
+ * The error is the sum of squared relative errors against contractPrice, so a
+ * $300 miss on a $4,500 price counts more than on a $15,000 one. Prices round to
+ * $10 / $20 steps, so the optimizer is a bounded pattern search (no gradients).
+ */
+
+const {
+  createPricing,
+  mergeConfig,
+  validateConfig,
+  getConfigValue,
+  setConfigValue,
+} = require('./pricing.js');
+const { CONFIG_SCHEMA } = require('./config.js');
+
+const MAX_TARGET_CELLS = 500;
+const MAX_EVALUATIONS = 5000;
+const MAX_CELL_EVALUATIONS = 100000;   // evaluations × cells, keeps one fit to a few seconds
+
+// Pilot / Growth / Scale / Enterprise contract prices by total commitment (PLAN.md)
+const DEFAULT_TARGETS = {
+  tiers: [
+    { name: 'Enterprise', minUnits: 500, prices: { 1: 4500, 3: 5300, 5: 6250, 10: 9500 } },
+    { name: 'Scale', minUnits: 200, prices: { 1: 5200, 3: 6200, 5: 7250, 10: 11000 } },
+    { name: 'Growth', minUnits: 10, prices: { 1: 6100, 3: 7300, 5: 8500, 10: 13000 } },
+    { name: 'Pilot', minUnits: 0, prices: { 1: 7000, 3: 8500, 5: 9800, 10: 15000 } },
+  ],
+  rates: [10, 15],
+  durations: [1, 2, 3, 4, 5],
+};
+
+const DEFAULT_PARAMETERS = [
+  { path: 'pricing.margins.year2Plus', min: 0.05, max: 0.6 },
+  { path: 'scaleEfficiency.scaleSlope', min: 0, max: 1 },
+  { path: 'scaleEfficiency.scaleFloor', min: 0.3, max: 1 },
+  { path: 'discounts.volumeTiers.0.discount', min: 0, max: 0.4 },
+  { path: 'discounts.volumeTiers.1.discount', min: 0, max: 0.4 },
+  { path: 'discounts.volumeTiers.2.discount', min: 0, max: 0.4 },
+  { path: 'discounts.volumeTiers.3.discount', min: 0, max: 0.4 },
+];
+
+function applyValues(config, parameters, values) {
+  return parameters.reduce((next, param, i) => setConfigValue(next, param.path, values[i]), config);
+}
+
+// ============================================================
+// INPUT PARSING
+// ============================================================
+
+/**
+ * Expand a target table into priced cells. Accepts either explicit cells
+ * ({ cells: [{ monthlyRate, commitYears, contractYears, existingFleet?, price }] })
+ * or a tier table ({ tiers, rates, durations, contracts? }) where each rate × duration ×
+ * contract cell takes the price of the tier its total commitment falls in.
+ * Returns { errors, cells }.
+ */
+function targetCells(table, config) {
+  const errors = [];
+  const cells = [];
+  const pricing = createPricing(config);
+  const input = table || DEFAULT_TARGETS;
+  const existingDefault = pricing.resolveExistingFleet();
+  const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  if (Array.isArray(input.cells)) {
+    input.cells.forEach((cell, i) => {
+      const field = `targets.cells.${i}`;
+      if (!cell || !isPositive(cell.monthlyRate)) errors.push({ field: `${field}.monthlyRate`, message: 'must be a positive number' });
+      else if (!Number.isInteger(cell.commitYears) || cell.commitYears < 1) errors.push({ field: `${field}.commitYears`, message: 'must be a whole number of years' });
+      else if (!pricing.isContractTerm(cell.contractYears)) errors.push({ field: `${field}.contractYears`, message: `must be a whole number from 1 to ${pricing.maxContractYears()}` });
+      else if (!isPositive(cell.price)) errors.push({ field: `${field}.price`, message: 'must be a positive number' });
+      else {
+        cells.push({
+          monthlyRate: cell.monthlyRate,
+          commitYears: cell.commitYears,
+          contractYears: cell.contractYears,
+          existingFleet: Number.isFinite(cell.existingFleet) ? cell.existingFleet : existingDefault,
+          target: cell.price,
+        });
+      }
+    });
+  } else if (Array.isArray(input.tiers)) {
+    const rates = Array.isArray(input.rates) ? input.rates : DEFAULT_TARGETS.rates;
+    const durations = Array.isArray(input.durations) ? input.durations : DEFAULT_TARGETS.durations;
+    input.tiers.forEach((tier, i) => {
+      if (!tier || !Number.isFinite(tier.minUnits) || !tier.prices || typeof tier.prices !== 'object') {
+        errors.push({ field: `targets.tiers.${i}`, message: 'must have minUnits and prices by contract length' });
+      }
+    });
+    if (!rates.every(isPositive)) errors.push({ field: 'targets.rates', message: 'must be positive numbers' });
+    if (!durations.every((value) => Number.isInteger(value) && value >= 1)) {
+      errors.push({ field: 'targets.durations', message: 'must be whole numbers of years' });
+    }
+    if (!errors.length) {
+      const tiers = input.tiers.slice().sort((a, b) => b.minUnits - a.minUnits);
+      rates.forEach((monthlyRate) => {
+        durations.forEach((commitYears) => {
+          const units = pricing.totalCommitment(monthlyRate, commitYears);
+          const tier = tiers.find((entry) => units >= entry.minUnits);
+          if (!tier) return;
+          Object.keys(tier.prices).map(Number)
+            .filter((years) => pricing.isContractTerm(years) && isPositive(tier.prices[years]))
+            .filter((years) => !Array.isArray(input.contracts) || input.contracts.includes(years))
+            .forEach((contractYears) => {
+              cells.push({ tier: tier.name || null, monthlyRate, commitYears, contractYears, existingFleet: existingDefault, target: tier.prices[contractYears] });
+            });
+        });
+      });
+    }
+  } else {
+    errors.push({ field: 'targets', message: 'must have cells or tiers' });
+  }
+
+  if (!errors.length && !cells.length) errors.push({ field: 'targets', message: 'has no cells to fit' });
+  if (cells.length > MAX_TARGET_CELLS) errors.push({ field: 'targets', message: `must have at most ${MAX_TARGET_CELLS} cells` });
+  return { errors, cells };
+}
+
+/**
+ * Validate free parameters ([{ path, min, max }], numeric config leaves only).
+ * Returns { errors, parameters }.
+ */
+function parseParameters(list, config) {
+  const errors = [];
+  const input = list || DEFAULT_PARAMETERS;
+  if (!Array.isArray(input) || !input.length) {
+    return { errors: [{ field: 'parameters', message: 'must be a non-empty list' }], parameters: [] };
+  }
+  const parameters = input.map((param, i) => {
+    const field = `parameters.${i}`;
+    const path = param && typeof param.path === 'string' ? param.path : '';
+    if (typeof getConfigValue(config, path) !== 'number') {
+      errors.push({ field: `${field}.path`, message: 'must name a numeric config value' });
+    } else if (!Number.isFinite(param.min) || !Number.isFinite(param.max) || param.min >= param.max) {
+      errors.push({ field, message: 'must have min below max' });
+    }
+    return { path, min: param && param.min, max: param && param.max };
+  });
+  const paths = parameters.map((param) => param.path);
+  if (new Set(paths).size !== paths.length) errors.push({ field: 'parameters', message: 'must not repeat a path' });
+  return { errors, parameters };
+}
+
+// ============================================================
+// FITTING
+// ============================================================
+
+function residuals(config, cells) {
+  const pricing = createPricing(config);
+  return cells.map((cell) => {
+    const price = pricing.contractPrice(cell.monthlyRate, cell.commitYears, cell.contractYears, cell.existingFleet);
+    return {
+      ...cell,
+      partNumber: pricing.partNumber(cell.contractYears),
+      price,
+      error: price - cell.target,
+      relativeError: (price - cell.target) / cell.target,
+    };
+  });
+}
+
+function fitStats(rows) {
+  const n = rows.length || 1;
+  return {
+    sse: rows.reduce((sum, row) => sum + row.relativeError ** 2, 0),
+    rmse: Math.sqrt(rows.reduce((sum, row) => sum + row.error ** 2, 0) / n),
+    meanAbsPercentError: rows.reduce((sum, row) => sum + Math.abs(row.relativeError), 0) / n,
+    maxAbsError: rows.reduce((max, row) => Math.max(max, Math.abs(row.error)), 0),
+  };
+}
+
+/**
+ * Bounded pattern search (Hooke-Jeeves style) in [0, 1]-scaled parameter space.
+ * Tries ±step on each parameter, keeps improvements, halves the step when stuck.
+ */
+function patternSearch(objective, start, options) {
+  const clamp01 = (value) => Math.min(1, Math.max(0, value));
+  let best = start.slice();
+  let bestScore = objective(best);
+  let step = options.initialStep;
+  let evaluations = 1;
+
+  while (step >= options.minStep && evaluations < options.maxEvaluations) {
+    let improved = false;
+    for (let i = 0; i < best.length && evaluations < options.maxEvaluations; i++) {
+      for (const direction of [1, -1]) {
+        const candidate = best.slice();
+        candidate[i] = clamp01(best[i] + direction * step);
+        if (candidate[i] === best[i]) continue;
+        const score = objective(candidate);
+        evaluations++;
+        if (score < bestScore - 1e-12) {
+          best = candidate;
+          bestScore = score;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) step /= 2;
+  }
+  return { point: best, score: bestScore, evaluations };
+}
+
+/**
+ * Fit `parameters` (default DEFAULT_PARAMETERS) so contractPrice matches `targets`
+ * (default DEFAULT_TARGETS). Starts from the config's current values, clamped to bounds.
+ * Returns { errors } on bad input, otherwise
+ * { config, parameters: [{ path, min, max, initial, value }], before, after, residuals, evaluations, configErrors }.
+ */
+function calibrate(baseConfig, options = {}) {
+  const config = mergeConfig(baseConfig, {});
+  const targets = targetCells(options.targets, config);
+  const params = parseParameters(options.parameters, config);
+  const errors = targets.errors.concat(params.errors);
+  if (errors.length) return { errors };
+
+  const { parameters } = params;
+  const toValue = (param, unit) => Math.round((param.min + unit * (param.max - param.min)) * 1e6) / 1e6;
+  const toUnit = (param, value) => Math.min(1, Math.max(0, (value - param.min) / (param.max - param.min)));
+  const configAt = (point) => applyValues(config, parameters, point.map((unit, i) => toValue(parameters[i], unit)));
+  const objective = (point) => {
+    const score = fitStats(residuals(configAt(point), targets.cells)).sse;
+    return Number.isFinite(score) ? score : Infinity;
+  };
+
+  const initial = parameters.map((param) => getConfigValue(config, param.path));
+  const start = parameters.map((param, i) => toUnit(param, initial[i]));
+  const budget = Math.min(MAX_EVALUATIONS, Math.floor(MAX_CELL_EVALUATIONS / targets.cells.length));
+  const maxEvaluations = Math.max(1, Math.min(budget, Number.isFinite(options.maxEvaluations) ? options.maxEvaluations : budget));
+  const result = patternSearch(objective, start, { initialStep: 0.25, minStep: 1e-4, maxEvaluations });
+
+  const fitted = configAt(result.point);
+  const before = residuals(config, targets.cells);
+  const after = residuals(fitted, targets.cells);
+  return {
+    errors: [],
+    config: fitted,
+    parameters: parameters.map((param, i) => ({
+      ...param,
+      initial: initial[i],
+      value: getConfigValue(fitted, param.path),
+    })),
+    before: fitStats(before),
+    after: fitStats(after),
+    residuals: after,
+    evaluations: result.evaluations,
+    configErrors: validateConfig(fitted, CONFIG_SCHEMA),
+  };
+}
+
+module.exports = {
+  DEFAULT_TARGETS,
+  DEFAULT_PARAMETERS,
+  targetCells,
+  parseParameters,
+  calibrate,
+};
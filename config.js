@@ -6,6 +6,13 @@
  */
 
 const CONFIG = {
+  // ============================================================
+  // PRICING MODEL
+  // installed-base = cost-plus with installed-base overhead (below)
+  // fte = original FTE hiring-cliff model (see models.fte)
+  // ============================================================
+  model: 'installed-base',
+
   // ============================================================
   // HARDWARE COSTS
   // ============================================================
@@ -115,9 +122,334 @@ const CONFIG = {
   // ============================================================
   fleet: {
     existingUnits: 0,                 // Already deployed units at start
+    source: 'config',                 // 'register' = count active units in the installed-base register instead
+  },
+
+  // ============================================================
+  // ATTRITION (units leaving the installed base)
+  // Shrinks the base behind scale efficiency and overhead per unit;
+  // a unit is never lost in the year it is delivered.
+  // ============================================================
+  attrition: {
+    annualChurn: 0,                   // Share of units retired or dropped from service each year
+    nonRenewal: 0,                    // Share of units not renewed when their contract ends
+    existingContractYears: 5,         // Existing fleet contracts end evenly over this many years
+  },
+
+  // ============================================================
+  // PORTFOLIO (deals signed with other manufacturers)
+  // Their units share overhead and scale efficiency with the deal
+  // being priced. startYear places a deal on that deal's timeline:
+  // 0 = starts in its year 1, -2 = started two years earlier.
+  // ============================================================
+  portfolio: {
+    deals: [
+      // { name: 'OEM A', monthlyRate: 10, ramp: [], commitYears: 3, contractYears: 5, startYear: -1, year2Price: 1400 },
+    ],
+  },
+
+  // ============================================================
+  // DEAL FINANCE (year-by-year cash flow)
+  // ============================================================
+  finance: {
+    discountRate: 0.10,               // Annual discount rate for deal NPV
+  },
+
+  // ============================================================
+  // ANNUAL ESCALATORS
+  // rate applies every year; table lists year-by-year increases
+  // (CPI-style) and takes precedence for the years it covers
+  // ============================================================
+  escalation: {
+    price: { rate: 0.0, table: [] },      // Y2+ customer price, from contract year 3
+    labor: { rate: 0.0, table: [] },      // hourlyRate and fteSalary, from year 2
+    hardware: { rate: 0.0, table: [] },   // fluxBox cost (and reserve), from year 2
+  },
+
+  // ============================================================
+  // GUARDRAILS (flagged on every quote; clamp = enforce in pricing)
+  // ============================================================
+  guardrails: {
+    clamp: false,                     // true = cap discounts and raise prices to the floors
+    maxTotalDiscount: 0.35,           // Max combined volume + contract discount
+    minYear1Margin: 0.0,              // Year 1 margin floor (incl. Y1 overhead)
+    minYear2Margin: 0.0,              // Y2+ margin floor (incl. overhead)
+    minContractMargin: 0.0,           // Whole-contract margin floor
+    minYear1Price: 0,                 // Absolute Year 1 price floor per unit
+    minYear2Price: 0,                 // Absolute Y2+ price floor per unit per year
+  },
+
+  // ============================================================
+  // ALTERNATIVE PRICING MODELS (used when `model` selects them)
+  // ============================================================
+  models: {
+    fte: {
+      hourlyRate: 60,                 // Support billed per hour below the FTE threshold
+      fteThreshold: 0.5,              // Support FTEs needed before salary cost applies (~125 units)
+      margin: 0.40,                   // Margin on support, build and hardware cost
+      year2Fixed: 298,                // Fixed Y2+ add-on per unit-year ($1,098 -> $698 at defaults)
+    },
+  },
+
+  // ============================================================
+  // RISK SIMULATION (Monte Carlo on contract margin)
+  // Each input is a multiplier on the configured value (1 = as configured)
+  // type: fixed | uniform (low..high) | triangular (low, mode, high)
+  //       | normal (mean = mode, sd, truncated to low..high)
+  // ============================================================
+  simulation: {
+    seed: 42,                         // Same seed = same draws
+    draws: 500,
+    supportHours: { type: 'triangular', low: 0.8, mode: 1, high: 1.4, sd: 0.15 },   // supportHoursPerUnitYear
+    decayRate: { type: 'triangular', low: 0.95, mode: 1, high: 1.08, sd: 0.03 },    // supportDecayRate (capped at 1)
+    scaleSlope: { type: 'triangular', low: 0.5, mode: 1, high: 1.2, sd: 0.2 },      // scaleSlope
+    orderRate: { type: 'triangular', low: 0.6, mode: 1, high: 1.1, sd: 0.15 },      // actual / committed monthly rate
+    replacementCycle: { type: 'triangular', low: 0.6, mode: 1, high: 1.2, sd: 0.15 }, // hardware replacementCycleYears
+  },
+};
+
+// One escalator (see CONFIG.escalation): yearly rate, year-by-year table, or both
+const ESCALATOR_SCHEMA = {
+  type: 'object',
+  properties: {
+    rate: { type: 'number', min: -0.5, max: 1, optional: true },
+    table: { type: 'array', items: { type: 'number', min: -0.5, max: 1 }, optional: true },
+  },
+  oneOf: [['rate'], ['table']],
+};
+
+// One portfolio deal (see CONFIG.portfolio); a non-empty ramp (monthly rate per year) replaces monthlyRate / commitYears
+const PORTFOLIO_DEAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', maxLength: 100 },
+    monthlyRate: { type: 'number', min: 0, optional: true },
+    ramp: { type: 'array', items: { type: 'number', min: 0 }, optional: true },
+    commitYears: { type: 'number', min: 0, optional: true },
+    contractYears: { type: 'integer', min: 1, max: 50 },
+    startYear: { type: 'integer', min: -50, max: 50 },
+    year2Price: { type: 'number', min: 0 },   // Locked Y2+ price per unit-year, 0 = unknown
+  },
+  oneOf: [['monthlyRate', 'commitYears'], ['ramp']],
+};
+
+// One simulated input (see CONFIG.simulation): distribution of a multiplier
+const DISTRIBUTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'enum', values: ['fixed', 'uniform', 'triangular', 'normal'] },
+    low: { type: 'number', min: 0, max: 10 },
+    mode: { type: 'number', min: 0, max: 10 },
+    high: { type: 'number', min: 0, max: 10 },
+    sd: { type: 'number', min: 0, max: 10 },
+  },
+};
+
+/**
+ * Shape of CONFIG, used to validate config saves (PUT /api/config, /api/state).
+ *
+ * Node types:
+ * - number / integer: optional min / max (inclusive)
+ * - boolean
+ * - enum: one of `values`
+ * - string: optional maxLength
+ * - object: fixed `properties`; unknown keys are rejected; optional oneOf lists
+ *   alternative key groups, at least one of which must be fully set (empty lists count as unset)
+ * - array: every entry matches `items`; optional minItems
+ * - map: integer keys >= keyMin, every value matches `values`; optional minItems
+ * Every key is required unless marked `optional: true`.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    model: { type: 'enum', values: ['installed-base', 'fte'] },   // Keys of PRICING_MODELS in pricing.js
+
+    hardware: {
+      type: 'object',
+      properties: {
+        fluxBox: { type: 'number', min: 0 },
+        replacementCycleYears: { type: 'number', min: 1 },
+      },
+    },
+
+    licensing: {
+      type: 'object',
+      properties: {
+        year1List: { type: 'number', min: 0 },
+        year2List: { type: 'number', min: 0 },
+        year1Discount: { type: 'number', min: 0, max: 1 },
+        year2Discount: { type: 'number', min: 0, max: 1 },
+        year1: { type: 'number', min: 0, optional: true },       // Legacy name for year1List
+        year2Plus: { type: 'number', min: 0, optional: true },   // Legacy name for year2List
+      },
+    },
+
+    labor: {
+      type: 'object',
+      properties: {
+        hourlyRate: { type: 'number', min: 0 },
+        fteSalary: { type: 'number', min: 0 },
+        fteHoursPerYear: { type: 'number', min: 1 },
+        buildHoursPerUnit: { type: 'number', min: 0 },
+        supportHoursPerUnitYear: { type: 'number', min: 0 },
+        coordinationHoursPerUnit: { type: 'number', min: 0 },
+      },
+    },
+
+    efficiency: {
+      type: 'object',
+      properties: {
+        supportDecayRate: { type: 'number', min: 0, max: 1 },
+        supportFloor: { type: 'number', min: 0, max: 1 },
+      },
+    },
+
+    scaleEfficiency: {
+      type: 'object',
+      properties: {
+        scaleRefUnits: { type: 'number', min: 1 },
+        scaleSlope: { type: 'number', min: 0 },
+        scaleFloor: { type: 'number', min: 0, max: 1 },
+      },
+    },
+
+    overhead: {
+      type: 'object',
+      properties: {
+        devMaintenanceFTEs: { type: 'number', min: 0 },
+        additionalAnnualCost: { type: 'number', min: 0 },
+      },
+    },
+
+    pricing: {
+      type: 'object',
+      properties: {
+        year1FixedPrice: { type: 'number', min: 0 },
+        year1ShiftFactor: { type: 'number', min: 0, max: 1 },
+        listPriceYear1: { type: 'number', min: 0 },
+        listPriceYear2: { type: 'number', min: 0 },
+        margins: {
+          type: 'object',
+          properties: {
+            year2Plus: { type: 'number', min: 0, max: 5 },
+          },
+        },
+        overheadYear1Factor: { type: 'number', min: 0, max: 1 },
+        overheadCreditEnabled: { type: 'boolean' },
+        overheadCreditYears: { type: 'integer', min: 0 },
+        year2BaselineYears: { type: 'integer', min: 2, max: 50 },
+        year2MinGap: { type: 'number', min: 0 },
+      },
+    },
+
+    discounts: {
+      type: 'object',
+      properties: {
+        volumeTiers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              minUnits: { type: 'integer', min: 0 },
+              discount: { type: 'number', min: 0, max: 1 },
+            },
+          },
+        },
+        year1VolumeFactor: { type: 'number', min: 0, max: 1 },
+        volumeDurationWeight: { type: 'number', min: 0, max: 1 },
+      },
+    },
+
+    contractDiscounts: {
+      type: 'map',
+      keyMin: 1,
+      minItems: 1,
+      values: { type: 'number', min: 0, max: 1 },
+    },
+
+    fleet: {
+      type: 'object',
+      properties: {
+        existingUnits: { type: 'number', min: 0 },
+        source: { type: 'enum', values: ['config', 'register'] },
+      },
+    },
+
+    attrition: {
+      type: 'object',
+      properties: {
+        annualChurn: { type: 'number', min: 0, max: 0.9 },
+        nonRenewal: { type: 'number', min: 0, max: 1 },
+        existingContractYears: { type: 'integer', min: 1, max: 50 },
+      },
+    },
+
+    portfolio: {
+      type: 'object',
+      properties: {
+        deals: { type: 'array', items: PORTFOLIO_DEAL_SCHEMA },
+      },
+    },
+
+    finance: {
+      type: 'object',
+      properties: {
+        discountRate: { type: 'number', min: 0, max: 1 },
+      },
+    },
+
+    escalation: {
+      type: 'object',
+      properties: {
+        price: ESCALATOR_SCHEMA,
+        labor: ESCALATOR_SCHEMA,
+        hardware: ESCALATOR_SCHEMA,
+      },
+    },
+
+    guardrails: {
+      type: 'object',
+      properties: {
+        clamp: { type: 'boolean' },
+        maxTotalDiscount: { type: 'number', min: 0, max: 1 },
+        minYear1Margin: { type: 'number', min: -1, max: 0.95 },
+        minYear2Margin: { type: 'number', min: -1, max: 0.95 },
+        minContractMargin: { type: 'number', min: -1, max: 0.95 },
+        minYear1Price: { type: 'number', min: 0 },
+        minYear2Price: { type: 'number', min: 0 },
+      },
+    },
+
+    models: {
+      type: 'object',
+      properties: {
+        fte: {
+          type: 'object',
+          properties: {
+            hourlyRate: { type: 'number', min: 0 },
+            fteThreshold: { type: 'number', min: 0 },
+            margin: { type: 'number', min: 0, max: 0.95 },
+            year2Fixed: { type: 'number', min: 0 },
+          },
+        },
+      },
+    },
+
+    simulation: {
+      type: 'object',
+      properties: {
+        seed: { type: 'integer', min: 0 },
+        draws: { type: 'integer', min: 10, max: 5000 },
+        supportHours: DISTRIBUTION_SCHEMA,
+        decayRate: DISTRIBUTION_SCHEMA,
+        scaleSlope: DISTRIBUTION_SCHEMA,
+        orderRate: DISTRIBUTION_SCHEMA,
+        replacementCycle: DISTRIBUTION_SCHEMA,
+      },
+    },
   },
 };
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = CONFIG;
+  module.exports = { CONFIG, CONFIG_SCHEMA };
 }
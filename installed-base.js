@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * Flux Mobile SRS Bridge Pricing - Installed-Base Register
+ *
+ * Deployed units (one row per serial) and what follows from them:
+ * - parseRegisterCsv(text) -> { errors, units } for a CSV import
+ * - activeUnits(units, date) -> units installed and still under contract on a date
+ * - renewalForecast(units, { from, quarters, year2Price }) -> units coming off contract per quarter
+ *
+ * Dates are ISO calendar dates (YYYY-MM-DD), so they compare as strings.
+ */
+
+const { parseCsv } = require('./spreadsheet.js');
+
+const MAX_IMPORT_ROWS = 50000;
+const MAX_FORECAST_QUARTERS = 40;
+
+// CSV columns (headers match case-insensitively, ignoring spaces, "_" and "-")
+const REGISTER_COLUMNS = [
+  { key: 'serial', required: true },
+  { key: 'customer', required: true },
+  { key: 'installDate', required: true },
+  { key: 'partNumber', required: true },
+  { key: 'termEnd', required: false },       // Blank = install date + the part number's contract length
+  { key: 'annualPrice', required: false },   // Y2+ price per unit-year; blank = estimated
+];
+
+const headerKey = (value) => String(value).toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * YYYY-MM-DD for a valid calendar date string or Date, otherwise null
+ */
+function isoDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const text = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text ? text : null;
+}
+
+function addYears(date, years) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCFullYear(next.getUTCFullYear() + years);
+  next.setUTCDate(next.getUTCDate() - 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Contract length in years from a per-unit part number (FX-SRS-5YR -> 5), null otherwise
+ */
+function partNumberYears(partNumber) {
+  const match = /^FX-SRS-(\d+)YR$/i.exec(String(partNumber || '').trim());
+  return match ? Number(match[1]) : null;
+}
+
+// ============================================================
+// CSV IMPORT
+// ============================================================
+
+/**
+ * Validate a register CSV (header row first). Any bad row rejects the whole file,
+ * so errors are reported per line as { field: 'line 3.installDate', message }.
+ */
+function parseRegisterCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { errors: [{ field: 'csv', message: 'is empty' }], units: [] };
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { errors: [{ field: 'csv', message: `must have at most ${MAX_IMPORT_ROWS} rows` }], units: [] };
+  }
+
+  const headers = rows[0].map(headerKey);
+  const columns = {};
+  const errors = [];
+  REGISTER_COLUMNS.forEach((column) => {
+    const idx = headers.indexOf(headerKey(column.key));
+    if (idx >= 0) columns[column.key] = idx;
+    else if (column.required) errors.push({ field: `csv.${column.key}`, message: 'column is missing' });
+  });
+  if (errors.length) return { errors, units: [] };
+
+  const seen = new Set();
+  const units = [];
+  rows.slice(1).forEach((row, idx) => {
+    const line = `line ${idx + 2}`;
+    const cell = (key) => (columns[key] === undefined ? '' : String(row[columns[key]] || '').trim());
+    const unit = {
+      serial: cell('serial'),
+      customer: cell('customer'),
+      installDate: isoDate(cell('installDate')),
+      partNumber: cell('partNumber').toUpperCase(),
+      termEnd: cell('termEnd') ? isoDate(cell('termEnd')) : null,
+      annualPrice: cell('annualPrice') === '' ? null : Number(cell('annualPrice').replace(/[$,]/g, '')),
+    };
+    const rowErrors = [];
+    if (!unit.serial || unit.serial.length > 100) rowErrors.push({ field: `${line}.serial`, message: 'must be 1 to 100 characters' });
+    else if (seen.has(unit.serial)) rowErrors.push({ field: `${line}.serial`, message: 'appears more than once' });
+    if (!unit.customer || unit.customer.length > 200) rowErrors.push({ field: `${line}.customer`, message: 'must be 1 to 200 characters' });
+    if (!unit.installDate) rowErrors.push({ field: `${line}.installDate`, message: 'must be a date (YYYY-MM-DD)' });
+    if (!unit.partNumber || unit.partNumber.length > 50) rowErrors.push({ field: `${line}.partNumber`, message: 'must be 1 to 50 characters' });
+    if (cell('termEnd') && !unit.termEnd) rowErrors.push({ field: `${line}.termEnd`, message: 'must be a date (YYYY-MM-DD)' });
+    if (unit.annualPrice !== null && (!Number.isFinite(unit.annualPrice) || unit.annualPrice < 0)) {
+      rowErrors.push({ field: `${line}.annualPrice`, message: 'must be a number of 0 or more' });
+    }
+    if (!rowErrors.length && !unit.termEnd) {
+      const years = partNumberYears(unit.partNumber);
+      if (years) unit.termEnd = addYears(unit.installDate, years);
+      else rowErrors.push({ field: `${line}.termEnd`, message: 'is required when the part number has no contract length' });
+    }
+    if (!rowErrors.length && unit.termEnd < unit.installDate) {
+      rowErrors.push({ field: `${line}.termEnd`, message: 'must not be before installDate' });
+    }
+    seen.add(unit.serial);
+    if (rowErrors.length) errors.push(...rowErrors);
+    else units.push(unit);
+  });
+  if (!errors.length && !units.length) errors.push({ field: 'csv', message: 'has no units' });
+  return { errors, units: errors.length ? [] : units };
+}
+
+// ============================================================
+// FLEET AND RENEWALS
+// ============================================================
+
+/**
+ * Units installed on or before `date` whose term has not ended before it
+ */
+function activeUnits(units, date) {
+  return units.filter((unit) => unit.installDate <= date && unit.termEnd >= date).length;
+}
+
+/**
+ * First day of the quarter holding `date`, and the first day of the next one
+ */
+function quarterBounds(date, offset) {
+  const [year, month] = date.split('-').map(Number);
+  const index = Math.floor((month - 1) / 3) + offset;
+  const start = new Date(Date.UTC(year, index * 3, 1));
+  const end = new Date(Date.UTC(year, index * 3 + 3, 1));
+  return {
+    label: `${start.getUTCFullYear()}-Q${Math.floor(start.getUTCMonth() / 3) + 1}`,
+    start: start.toISOString().slice(0, 10),
+    end: end.toISOString().slice(0, 10),
+  };
+}
+
+/**
+ * Units whose term ends in each quarter from the one holding `from` (default today),
+ * with the customers affected and the Y2+ revenue at stake per year of renewal.
+ * Units without an annualPrice are valued at year2Price(partNumber) and counted as estimated.
+ * Returns { from, quarters: [{ quarter, start, end, units, revenueAtStake, estimatedUnits, customers }], totals }.
+ */
+function renewalForecast(units, options = {}) {
+  const from = isoDate(options.from) || isoDate(new Date());
+  const count = Math.max(1, Math.min(MAX_FORECAST_QUARTERS, Number.isInteger(options.quarters) ? options.quarters : 8));
+  const priceFor = options.year2Price || (() => 0);
+  const prices = new Map();
+  const price = (unit) => {
+    if (unit.annualPrice !== null && unit.annualPrice !== undefined) return unit.annualPrice;
+    if (!prices.has(unit.partNumber)) prices.set(unit.partNumber, priceFor(unit.partNumber));
+    return prices.get(unit.partNumber);
+  };
+
+  const quarters = [];
+  for (let offset = 0; offset < count; offset++) {
+    const bounds = quarterBounds(from, offset);
+    const ending = units.filter((unit) => unit.termEnd >= bounds.start && unit.termEnd < bounds.end);
+    const customers = new Map();
+    ending.forEach((unit) => {
+      const entry = customers.get(unit.customer) || { customer: unit.customer, units: 0, revenueAtStake: 0 };
+      entry.units += 1;
+      entry.revenueAtStake += price(unit);
+      customers.set(unit.customer, entry);
+    });
+    quarters.push({
+      quarter: bounds.label,
+      start: bounds.start,
+      end: bounds.end,
+      units: ending.length,
+      revenueAtStake: ending.reduce((sum, unit) => sum + price(unit), 0),
+      estimatedUnits: ending.filter((unit) => unit.annualPrice === null || unit.annualPrice === undefined).length,
+      customers: Array.from(customers.values()).sort((a, b) => b.revenueAtStake - a.revenueAtStake),
+    });
+  }
+  return {
+    from,
+    quarters,
+    totals: {
+      units: quarters.reduce((sum, quarter) => sum + quarter.units, 0),
+      revenueAtStake: quarters.reduce((sum, quarter) => sum + quarter.revenueAtStake, 0),
+      estimatedUnits: quarters.reduce((sum, quarter) => sum + quarter.estimatedUnits, 0),
+    },
+  };
+}
+
+module.exports = {
+  REGISTER_COLUMNS,
+  isoDate,
+  partNumberYears,
+  parseRegisterCsv,
+  activeUnits,
+  renewalForecast,
+};
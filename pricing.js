@@ -5,8 +5,17 @@
  * - Cost-plus pricing for Year 1 and Year 2+
  * - Overhead amortized annually across installed base
  * - Support efficiency improves over time and with scale
- * - Layer 1: Volume commitment (total units = rate × 12 × duration)
- * - Layer 2: Contract length discounts (1/3/5/10 year)
+ * - Layer 1: Volume commitment (total units = rate × 12 × duration, or the sum of a ramp schedule)
+ * - Layer 2: Contract length discounts (1/3/5/10 year points, interpolated for other terms)
+ * - Optional annual escalators on Y2+ price and on labor / hardware cost
+ * - Guardrails: discount cap, margin and price floors (flagged, or clamped)
+ * - Goal seek: commitment or Y2+ margin needed to reach a target contract price
+ * - Sensitivity: contract price and margin swing per cost assumption (tornado)
+ * - Risk simulation: seeded Monte Carlo of contract / Y2+ margin (P10 / P50 / P90, loss odds)
+ * - Pricing models: config.model picks this installed-base model or the original
+ *   FTE hiring-cliff model (PRICING_MODELS); costs are shared
+ * - Portfolio: other signed deals (config.portfolio) add to the installed base that
+ *   shares overhead and scale efficiency
  *
  * Year 1 gets reduced volume discount (50% of full discount)
  * Year 2+ gets full volume discount
@@ -16,529 +25,2025 @@
  * - FX-SRS-3YR: 3-year contract
  * - FX-SRS-5YR: 5-year contract
  * - FX-SRS-10YR: 10-year contract
+ * - FX-SRS-<n>YR: any other whole-year term up to the longest one above
  */
 
-const PRICING = {
-  // ============================================================
-  // COST CALCULATIONS
-  // ============================================================
-
-  get hardwareReserve() {
-    return CONFIG.hardware.fluxBox / CONFIG.hardware.replacementCycleYears;
-  },
-
-  resolveExistingFleet(existingFleetUnits) {
-    if (Number.isFinite(existingFleetUnits)) return existingFleetUnits;
-    return CONFIG.fleet.existingUnits || 0;
-  },
-
-  annualUnits(monthlyRate) {
-    return monthlyRate * 12;
-  },
-
-  /**
-   * Calculate total commitment (total units = rate × 12 × duration)
-   */
-  totalCommitment(monthlyRate, commitYears) {
-    return monthlyRate * 12 * commitYears;
-  },
-
-  /**
-   * Discount basis units (blended between annual units and total commitment)
-   * weight=0 => annual units only, weight=1 => total commitment
-   */
-  discountBasisUnits(monthlyRate, commitYears) {
-    const annualUnits = this.annualUnits(monthlyRate);
-    const weight = CONFIG.discounts.volumeDurationWeight ?? 1;
-    const clamped = Math.max(0, Math.min(1, weight));
-    return (annualUnits * (1 - clamped)) + (annualUnits * commitYears * clamped);
-  },
-
-  unitsAddedByYear(year, monthlyRate, commitYears) {
-    return this.annualUnits(monthlyRate) * Math.min(year, commitYears);
-  },
+/**
+ * Deep-merge config overrides into a copy of the base config.
+ * Nested objects merge key by key; arrays and scalars replace.
+ * Neither argument is modified.
+ */
+function mergeConfig(base, overrides) {
+  const target = JSON.parse(JSON.stringify(base || {}));
+  const merge = (dest, source) => {
+    if (!source || typeof source !== 'object') return dest;
+    Object.keys(source).forEach((key) => {
+      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+        if (!dest[key] || typeof dest[key] !== 'object') dest[key] = {};
+        merge(dest[key], source[key]);
+      } else {
+        dest[key] = source[key];
+      }
+    });
+    return dest;
+  };
+  return merge(target, overrides);
+}
 
-  /**
-   * Average installed base during a given year (linear ramp)
-   */
-  avgInstalledBaseForYear(year, monthlyRate, commitYears, existingFleetUnits) {
-    const existing = this.resolveExistingFleet(existingFleetUnits);
-    const annualUnits = this.annualUnits(monthlyRate);
-    const unitsAdded = annualUnits * Math.min(year, commitYears);
-    let avgBase = existing + unitsAdded;
-    if (year <= commitYears) {
-      avgBase -= annualUnits / 2;
+/**
+ * List changed leaf values between two configs as dotted paths
+ * (same format as margins.html data-path, e.g. "discounts.volumeTiers.0.minUnits").
+ */
+function diffConfig(before, after) {
+  const changes = [];
+  const isObject = (value) => value !== null && typeof value === 'object';
+  const walk = (a, b, prefix) => {
+    if (isObject(a) && isObject(b) && Array.isArray(a) === Array.isArray(b)) {
+      const keys = Array.from(new Set(Object.keys(a).concat(Object.keys(b))));
+      keys.forEach((key) => walk(a[key], b[key], prefix ? `${prefix}.${key}` : key));
+      return;
     }
-    return Math.max(existing, avgBase);
-  },
-
-  scaleFactor(installBase) {
-    const { scaleRefUnits, scaleSlope, scaleFloor } = CONFIG.scaleEfficiency;
-    if (installBase <= 0 || installBase <= scaleRefUnits) return 1;
-    const factor = 1 / (1 + scaleSlope * Math.log10(installBase / scaleRefUnits));
-    return Math.max(scaleFloor, Math.min(1, factor));
-  },
-
-  /**
-   * Support hours per unit for a given year with time + scale efficiency
-   */
-  supportHoursForYear(year, monthlyRate, commitYears, existingFleetUnits) {
-    const base = CONFIG.labor.supportHoursPerUnitYear;
-    const { supportDecayRate, supportFloor } = CONFIG.efficiency;
-    const timeFactor = Math.max(supportFloor, Math.pow(supportDecayRate, year - 1));
-    const avgBase = this.avgInstalledBaseForYear(year, monthlyRate, commitYears, existingFleetUnits);
-    const scaleFactor = this.scaleFactor(avgBase);
-    return base * timeFactor * scaleFactor;
-  },
-
-  year1Cost(monthlyRate, commitYears, existingFleetUnits) {
-    const hardware = CONFIG.hardware.fluxBox;
-    const buildLabor = CONFIG.labor.buildHoursPerUnit * CONFIG.labor.hourlyRate;
-    const year1Support = this.supportHoursForYear(1, monthlyRate, commitYears, existingFleetUnits) * CONFIG.labor.hourlyRate;
-    const coordination = CONFIG.labor.coordinationHoursPerUnit * CONFIG.labor.hourlyRate;
-    return hardware + buildLabor + year1Support + coordination;
-  },
-
-  year2CostForYear(year, monthlyRate, commitYears, existingFleetUnits) {
-    const supportCost = this.supportHoursForYear(year, monthlyRate, commitYears, existingFleetUnits) * CONFIG.labor.hourlyRate;
-    return supportCost + this.hardwareReserve;
-  },
-
-  year2Cost(monthlyRate, commitYears, existingFleetUnits) {
-    return this.year2CostForYear(2, monthlyRate, commitYears, existingFleetUnits);
-  },
-
-  /**
-   * Blended Year 2+ cost over a contract period (years 2 through contractYears)
-   */
-  year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits) {
-    const effectiveYears = Math.max(2, contractYears);
-    let total = 0;
-    for (let yr = 2; yr <= effectiveYears; yr++) {
-      total += this.year2CostForYear(yr, monthlyRate, commitYears, existingFleetUnits);
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path: prefix, from: a === undefined ? null : a, to: b === undefined ? null : b });
     }
-    return total / (effectiveYears - 1);
-  },
+  };
+  walk(before || {}, after || {}, '');
+  return changes;
+}
 
-  /**
-   * Annual fixed overhead cost (dev/maintenance FTEs + additional)
-   */
-  annualOverhead() {
-    return (CONFIG.overhead.devMaintenanceFTEs * CONFIG.labor.fteSalary) +
-           CONFIG.overhead.additionalAnnualCost;
-  },
+// Default cost assumptions for sensitivity(); min / max keep the moved value meaningful
+const SENSITIVITY_PARAMETERS = [
+  { path: 'labor.supportHoursPerUnitYear', label: 'Support hours / unit / yr', min: 0 },
+  { path: 'scaleEfficiency.scaleSlope', label: 'Scale slope', min: 0 },
+  { path: 'efficiency.supportDecayRate', label: 'Support decay rate', min: 0, max: 1 },
+  { path: 'labor.hourlyRate', label: 'Hourly rate', min: 0 },
+  { path: 'hardware.fluxBox', label: 'Hardware cost', min: 0 },
+];
 
-  overheadPerUnitForYear(year, monthlyRate, commitYears, existingFleetUnits) {
-    const avgBase = this.avgInstalledBaseForYear(year, monthlyRate, commitYears, existingFleetUnits);
-    if (avgBase <= 0) return 0;
-    return this.annualOverhead() / avgBase;
-  },
+// Highest annual churn the engine accepts (matches the config schema); bounds breakEvenChurn()
+const MAX_ANNUAL_CHURN = 0.9;
 
-  overheadBlendedBase(contractYears, monthlyRate, commitYears, existingFleetUnits) {
-    const effectiveYears = Math.max(2, contractYears);
-    let total = 0;
-    for (let yr = 2; yr <= effectiveYears; yr++) {
-      total += this.overheadPerUnitForYear(yr, monthlyRate, commitYears, existingFleetUnits);
-    }
-    return total / (effectiveYears - 1);
-  },
+/**
+ * Read a dotted config path (e.g. "discounts.volumeTiers.0.discount"); undefined if missing
+ */
+function getConfigValue(config, path) {
+  return String(path).split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), config);
+}
 
-  overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits) {
-    const base = this.overheadBlendedBase(contractYears, monthlyRate, commitYears, existingFleetUnits);
-    if (CONFIG.pricing && CONFIG.pricing.overheadCreditEnabled === false) {
-      return base;
-    }
-    if (contractYears <= 1) return base;
-    const y1Price = this.year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
-    const y1Cost = this.year1Cost(monthlyRate, commitYears, existingFleetUnits);
-    const y1Overhead = this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * CONFIG.pricing.overheadYear1Factor;
-    const surplus = Math.max(0, y1Price - y1Cost - y1Overhead);
-    const creditCapRaw = CONFIG.pricing.overheadCreditYears;
-    const creditCap = Number.isFinite(creditCapRaw) && creditCapRaw > 0
-      ? creditCapRaw
-      : (contractYears - 1);
-    const creditYears = Math.max(1, Math.min(contractYears - 1, creditCap));
-    const creditPerYear = surplus / creditYears;
-    return Math.max(0, base - creditPerYear);
-  },
+/**
+ * Copy of the config with one dotted path set to a value (the path must exist up to its parent)
+ */
+function setConfigValue(config, path, value) {
+  const next = JSON.parse(JSON.stringify(config));
+  const keys = String(path).split('.');
+  const parent = keys.length === 1 ? next : getConfigValue(next, keys.slice(0, -1).join('.'));
+  parent[keys[keys.length - 1]] = value;
+  return next;
+}
 
-  // ============================================================
-  // VOLUME COMMITMENT CALCULATIONS
-  // ============================================================
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32): the same seed gives the same sequence
+ */
+function seededRandom(seed) {
+  let state = (Number(seed) >>> 0) || 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-  /**
-   * Volume discount based on total units committed
-   */
-  volumeDiscount(totalUnits) {
-    const units = Number.isFinite(totalUnits) ? Math.max(0, totalUnits) : 0;
-    const tiers = this.normalizeVolumeTiers();
-    if (!tiers.length) return 0;
+/**
+ * One draw from a distribution spec (see CONFIG.simulation):
+ * { type: 'fixed' | 'uniform' | 'triangular' | 'normal', low, mode, high, sd }.
+ * Missing or unknown specs return mode (default 1).
+ */
+function sampleDistribution(spec, random) {
+  const value = (entry, fallback) => (Number.isFinite(entry) ? entry : fallback);
+  const mode = value(spec && spec.mode, 1);
+  const low = Math.min(value(spec && spec.low, mode), mode);
+  const high = Math.max(value(spec && spec.high, mode), mode);
+  const type = spec && spec.type;
+  if (type === 'uniform') return low + random() * (high - low);
+  if (type === 'triangular') {
+    if (high === low) return mode;
+    const u = random();
+    const split = (mode - low) / (high - low);
+    return u < split
+      ? low + Math.sqrt(u * (high - low) * (mode - low))
+      : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+  }
+  if (type === 'normal') {
+    // Box-Muller, truncated to low..high
+    const u = 1 - random();
+    const v = random();
+    const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    return Math.min(high, Math.max(low, mode + z * value(spec.sd, 0)));
+  }
+  return mode;
+}
 
-    if (units <= tiers[0].minUnits) {
-      return this.clamp01(tiers[0].discount);
+/**
+ * Validate a value against a schema node (see CONFIG_SCHEMA in config.js).
+ * Returns field-level errors: [{ field, message, min?, max? }], empty when valid.
+ */
+function validateConfig(value, schema, path) {
+  const errors = [];
+  const join = (base, key) => (base ? `${base}.${key}` : String(key));
+  const isPlainObject = (item) => item !== null && typeof item === 'object' && !Array.isArray(item);
+
+  const check = (item, spec, field) => {
+    const label = field || '(root)';
+    if (item === undefined || item === null) {
+      if (!spec.optional) errors.push({ field: label, message: 'is required' });
+      return;
     }
 
-    for (let i = 0; i < tiers.length - 1; i++) {
-      const lower = tiers[i];
-      const upper = tiers[i + 1];
-      if (units >= lower.minUnits && units <= upper.minUnits) {
-        const span = upper.minUnits - lower.minUnits;
-        if (span <= 0) return this.clamp01(upper.discount);
-        const t = (units - lower.minUnits) / span;
-        const discount = lower.discount + (upper.discount - lower.discount) * t;
-        return this.clamp01(discount);
+    if (spec.type === 'number' || spec.type === 'integer') {
+      if (typeof item !== 'number' || !Number.isFinite(item)) {
+        errors.push({ field: label, message: 'must be a number' });
+        return;
       }
-    }
-
-    return this.clamp01(tiers[tiers.length - 1].discount);
-  },
-
-  /**
-   * Get the current volume tier info
-   */
-  getVolumeTier(totalUnits) {
-    const units = Number.isFinite(totalUnits) ? Math.max(0, totalUnits) : 0;
-    const tiers = this.normalizeVolumeTiers();
-    if (!tiers.length) return { minUnits: 0, maxUnits: Infinity, discount: 0 };
-
-    for (let i = 0; i < tiers.length - 1; i++) {
-      const current = tiers[i];
-      const next = tiers[i + 1];
-      if (units >= current.minUnits && units < next.minUnits) {
-        return {
-          minUnits: current.minUnits,
-          maxUnits: next.minUnits - 1,
-          discount: this.volumeDiscount(units),
-        };
+      if (spec.type === 'integer' && !Number.isInteger(item)) {
+        errors.push({ field: label, message: 'must be a whole number' });
+        return;
+      }
+      if (Number.isFinite(spec.min) && item < spec.min) {
+        errors.push({ field: label, message: `must be at least ${spec.min}`, min: spec.min });
       }
+      if (Number.isFinite(spec.max) && item > spec.max) {
+        errors.push({ field: label, message: `must be at most ${spec.max}`, max: spec.max });
+      }
+      return;
     }
 
-    const last = tiers[tiers.length - 1];
-    return { minUnits: last.minUnits, maxUnits: Infinity, discount: this.volumeDiscount(units) };
-  },
-
-  /**
-   * Get the next volume tier
-   */
-  getNextVolumeTier(totalUnits) {
-    const units = Number.isFinite(totalUnits) ? Math.max(0, totalUnits) : 0;
-    const tiers = this.normalizeVolumeTiers();
-    for (const tier of tiers) {
-      if (units < tier.minUnits) {
-        return { minUnits: tier.minUnits, discount: tier.discount };
+    if (spec.type === 'string') {
+      if (typeof item !== 'string') {
+        errors.push({ field: label, message: 'must be text' });
+      } else if (Number.isFinite(spec.maxLength) && item.length > spec.maxLength) {
+        errors.push({ field: label, message: `must be at most ${spec.maxLength} characters` });
       }
+      return;
     }
-    return null;
-  },
-
-  normalizeVolumeTiers() {
-    const raw = (CONFIG.discounts && Array.isArray(CONFIG.discounts.volumeTiers))
-      ? CONFIG.discounts.volumeTiers
-      : [];
-    const cleaned = raw
-      .map((tier) => {
-        const minUnits = Number(tier.minUnits);
-        const discount = Number(tier.discount);
-        if (!Number.isFinite(minUnits) || !Number.isFinite(discount)) return null;
-        return {
-          minUnits: Math.max(0, Math.round(minUnits)),
-          discount: this.clamp01(discount),
-        };
-      })
-      .filter(Boolean);
 
-    if (!cleaned.some((tier) => tier.minUnits === 0)) {
-      cleaned.push({ minUnits: 0, discount: 0 });
+    if (spec.type === 'enum') {
+      if (!spec.values.includes(item)) errors.push({ field: label, message: `must be one of ${spec.values.join(', ')}` });
+      return;
     }
 
-    cleaned.sort((a, b) => a.minUnits - b.minUnits);
+    if (spec.type === 'boolean') {
+      if (typeof item !== 'boolean') errors.push({ field: label, message: 'must be true or false' });
+      return;
+    }
 
-    const deduped = [];
-    for (const tier of cleaned) {
-      const last = deduped[deduped.length - 1];
-      if (last && last.minUnits === tier.minUnits) {
-        last.discount = Math.max(last.discount, tier.discount);
-      } else {
-        deduped.push({ ...tier });
+    if (spec.type === 'array') {
+      if (!Array.isArray(item)) {
+        errors.push({ field: label, message: 'must be a list' });
+        return;
       }
+      if (Number.isFinite(spec.minItems) && item.length < spec.minItems) {
+        errors.push({ field: label, message: `must have at least ${spec.minItems} entries` });
+      }
+      item.forEach((entry, idx) => check(entry, spec.items, join(field, idx)));
+      return;
     }
 
-    let prev = 0;
-    for (const tier of deduped) {
-      if (tier.discount < prev) tier.discount = prev;
-      prev = tier.discount;
+    if (!isPlainObject(item)) {
+      errors.push({ field: label, message: 'must be an object' });
+      return;
     }
 
-    return deduped;
-  },
-
-  /**
-   * Contract discount based on per-unit contract length
-   */
-  contractDiscount(contractYears) {
-    return CONFIG.contractDiscounts[contractYears] || 0;
-  },
-
-  // ============================================================
-  // PRICE CALCULATIONS
-  // ============================================================
-
-  clamp01(value) {
-    if (!Number.isFinite(value)) return 0;
-    return Math.max(0, Math.min(1, value));
-  },
-
-  licenseListYear1() {
-    const list = (CONFIG.licensing && Number.isFinite(CONFIG.licensing.year1List))
-      ? CONFIG.licensing.year1List
-      : (CONFIG.licensing && Number.isFinite(CONFIG.licensing.year1) ? CONFIG.licensing.year1 : 0);
-    return Number.isFinite(list) ? list : 0;
-  },
-
-  licenseListYear2() {
-    const list = (CONFIG.licensing && Number.isFinite(CONFIG.licensing.year2List))
-      ? CONFIG.licensing.year2List
-      : (CONFIG.licensing && Number.isFinite(CONFIG.licensing.year2Plus) ? CONFIG.licensing.year2Plus : 0);
-    return Number.isFinite(list) ? list : 0;
-  },
-
-  licenseDiscountYear1() {
-    return this.clamp01(CONFIG.licensing && Number.isFinite(CONFIG.licensing.year1Discount)
-      ? CONFIG.licensing.year1Discount
-      : 0);
-  },
-
-  licenseDiscountYear2() {
-    return this.clamp01(CONFIG.licensing && Number.isFinite(CONFIG.licensing.year2Discount)
-      ? CONFIG.licensing.year2Discount
-      : 0);
-  },
-
-  licensePriceYear1() {
-    return this.licenseListYear1() * (1 - this.licenseDiscountYear1());
-  },
-
-  licensePriceYear2() {
-    return this.licenseListYear2() * (1 - this.licenseDiscountYear2());
-  },
-
-  year1ListPrice(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    return CONFIG.pricing.year1FixedPrice;
-  },
-
-  displayListYear1() {
-    const list = CONFIG.pricing && Number.isFinite(CONFIG.pricing.listPriceYear1)
-      ? CONFIG.pricing.listPriceYear1
-      : 0;
-    if (list > 0) return list;
-    return CONFIG.pricing.year1FixedPrice + this.licenseListYear1();
-  },
+    if (spec.type === 'map') {
+      const keys = Object.keys(item);
+      if (Number.isFinite(spec.minItems) && keys.length < spec.minItems) {
+        errors.push({ field: label, message: `must have at least ${spec.minItems} entries` });
+      }
+      keys.forEach((key) => {
+        const num = Number(key);
+        if (!Number.isInteger(num) || num < (spec.keyMin ?? 0)) {
+          errors.push({ field: join(field, key), message: `key must be a whole number of at least ${spec.keyMin ?? 0}` });
+          return;
+        }
+        check(item[key], spec.values, join(field, key));
+      });
+      return;
+    }
 
-  displayListYear2(existingFleetUnits) {
-    const list = CONFIG.pricing && Number.isFinite(CONFIG.pricing.listPriceYear2)
-      ? CONFIG.pricing.listPriceYear2
-      : 0;
-    if (list > 0) return list;
-    return this.year2ListPrice(10, 1, CONFIG.pricing.year2BaselineYears || 10, existingFleetUnits) + this.licenseListYear2();
-  },
+    Object.keys(spec.properties).forEach((key) => check(item[key], spec.properties[key], join(field, key)));
+    if (spec.oneOf) {
+      const isSet = (key) => item[key] !== undefined && item[key] !== null && !(Array.isArray(item[key]) && !item[key].length);
+      if (!spec.oneOf.some((group) => group.every(isSet))) {
+        const separator = spec.oneOf.some((group) => group.length > 1) ? ', or ' : ' or ';
+        errors.push({ field: label, message: `needs ${spec.oneOf.map((group) => group.join(' and ')).join(separator)}` });
+      }
+    }
+    Object.keys(item)
+      .filter((key) => !Object.prototype.hasOwnProperty.call(spec.properties, key))
+      .forEach((key) => errors.push({ field: join(field, key), message: 'is not a known setting' }));
+  };
 
-  year1BasePrice(monthlyRate, commitYears) {
-    const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
-    const volumeDisc = this.volumeDiscount(discountUnits) * CONFIG.discounts.year1VolumeFactor;
-    return this.roundUp10(CONFIG.pricing.year1FixedPrice * (1 - volumeDisc));
-  },
+  check(value, schema, path || '');
+  return errors;
+}
 
-  year1ShiftAmount(monthlyRate, commitYears) {
-    const base = this.year1BasePrice(monthlyRate, commitYears);
-    const factor = CONFIG.pricing.year1ShiftFactor || 0;
-    return Math.max(0, Math.min(1, factor)) * base;
-  },
+// ============================================================
+// PRICING MODELS
+// ============================================================
 
-  year1ShiftPerYear(monthlyRate, commitYears, contractYears) {
-    if (contractYears <= 1) return 0;
-    return this.year1ShiftAmount(monthlyRate, commitYears) / (contractYears - 1);
-  },
+/**
+ * Engine methods a pricing model may replace. Costs, margins, guardrails, cash flow
+ * and the rest of the engine are shared, so every model is measured against the same costs.
+ */
+const PRICING_MODEL_METHODS = [
+  'year1Price',
+  'year2Price',
+  'year2ListPrice',
+  'volumeDiscount',
+  'contractDiscount',
+  'tierYear2Prices',
+  'displayListYear1',
+  'displayListYear2',
+  'dealListPrices',
+];
+
+const DEFAULT_PRICING_MODEL = 'installed-base';
 
-  year2ListPrice(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const baselineYearsRaw = CONFIG.pricing.year2BaselineYears;
-    const baselineYears = Math.max(2, Number.isFinite(baselineYearsRaw) ? baselineYearsRaw : 10);
-    const cost = this.year2CostBlended(baselineYears, monthlyRate, commitYears, existingFleetUnits);
-    const overhead = this.overheadBlended(baselineYears, monthlyRate, commitYears, existingFleetUnits);
-    const minNetPrice = (cost + overhead) * (1 + CONFIG.pricing.margins.year2Plus);
+/**
+ * Support cost per hour under the FTE model: the billed hourly rate while the
+ * installed base needs less than the FTE threshold, FTE salary cost above it
+ */
+function fteCostPerHour(engine, installedBase) {
+  const { labor } = engine.config;
+  const settings = engine.config.models.fte;
+  const ftes = installedBase * labor.supportHoursPerUnitYear / labor.fteHoursPerYear;
+  return ftes < settings.fteThreshold ? settings.hourlyRate : engine.fteSalaryForYear(1) / labor.fteHoursPerYear;
+}
 
-    const baselineDisc = this.contractDiscount(baselineYears);
-    const denom = Math.max(0.01, 1 - baselineDisc);
-    return minNetPrice / denom;
-  },
+/**
+ * FTE model Year 1 price for an installed base before guardrails (build and coordination
+ * at cost per hour plus margin, hardware and license)
+ */
+function fteYear1Price(engine, installedBase) {
+  const { labor, hardware } = engine.config;
+  const settings = engine.config.models.fte;
+  const hours = labor.buildHoursPerUnit + labor.coordinationHoursPerUnit;
+  const cost = hours * fteCostPerHour(engine, installedBase) + hardware.fluxBox;
+  return engine.roundUp10(cost / (1 - settings.margin) + engine.licensePriceYear1());
+}
 
-  year2PriceRaw(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const listPrice = this.year2ListPrice(monthlyRate, commitYears, contractYears, existingFleetUnits);
-    const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
-    const volumeDisc = this.volumeDiscount(discountUnits);
-    const contractDisc = this.contractDiscount(contractYears);
-    const totalDisc = volumeDisc + contractDisc;
-    const basePrice = this.roundUp10(listPrice * (1 - totalDisc));
-    const license = this.licensePriceYear2();
-    const shiftAddOn = this.year1ShiftPerYear(monthlyRate, commitYears, contractYears);
-    return basePrice + license + shiftAddOn;
-  },
+/**
+ * FTE model Y2+ price for an installed base (support at cost per hour plus margin, plus the fixed add-on)
+ */
+function fteYear2Price(engine, installedBase) {
+  const settings = engine.config.models.fte;
+  const support = engine.config.labor.supportHoursPerUnitYear * fteCostPerHour(engine, installedBase);
+  return engine.roundUp10(support / (1 - settings.margin) + settings.year2Fixed);
+}
 
-  /**
-   * Year 1 price per unit (volume discount only)
-   * Volume discount uses the reduced Year 1 factor.
-   */
-  year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const basePrice = this.year1BasePrice(monthlyRate, commitYears);
-    const shiftAmount = this.year1ShiftAmount(monthlyRate, commitYears);
-    const shiftedPrice = Math.max(0, basePrice - shiftAmount);
-    const license = this.licensePriceYear1();
-    return this.roundUp10(shiftedPrice + license);
+/**
+ * Registered pricing models: { label, description, methods }. `methods` holds the
+ * PRICING_MODEL_METHODS the model replaces, called with the engine as `this`;
+ * anything left out uses the installed-base formula. Add new models here and to
+ * the `model` enum in CONFIG_SCHEMA.
+ */
+const PRICING_MODELS = {
+  'installed-base': {
+    label: 'Installed-base cost-plus',
+    description: 'Cost-plus with installed-base overhead, volume and contract discounts',
+    methods: {},
   },
 
-  /**
-   * Year 1 total discount (volume only)
-   */
-  year1TotalDiscount(monthlyRate, commitYears, contractYears) {
-    const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
-    return this.volumeDiscount(discountUnits) * CONFIG.discounts.year1VolumeFactor;
+  // Original FTE "hiring cliff" spec: the price steps down once the installed base
+  // (existing fleet + this commitment) needs fteThreshold FTEs of support
+  fte: {
+    label: 'FTE hiring cliff',
+    description: 'Support billed hourly below the FTE threshold, at FTE salary cost above; no discount tiers',
+    methods: {
+      year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+        const installedBase = this.resolveExistingFleet(existingFleetUnits) + this.totalCommitment(monthlyRate, commitYears);
+        const price = fteYear1Price(this, installedBase);
+        if (!this.guardrails().clamp) return price;
+        return this.roundUp10(Math.max(price, this.year1PriceFloor(monthlyRate, commitYears, contractYears, existingFleetUnits)));
+      },
+
+      year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+        const installedBase = this.resolveExistingFleet(existingFleetUnits) + this.totalCommitment(monthlyRate, commitYears);
+        const price = fteYear2Price(this, installedBase);
+        if (!this.guardrails().clamp) return price;
+        return this.roundUp10(Math.max(price, this.year2PriceFloor(monthlyRate, commitYears, contractYears, existingFleetUnits)));
+      },
+
+      // List = the sub-FTE (hourly) price
+      year2ListPrice() {
+        return fteYear2Price(this, 0);
+      },
+
+      displayListYear1() {
+        return fteYear1Price(this, 0);
+      },
+
+      displayListYear2() {
+        return fteYear2Price(this, 0);
+      },
+
+      // No discounts: a quote's list prices are its own prices
+      dealListPrices(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+        return {
+          listY1: this.year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits),
+          listY2: this.year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits),
+        };
+      },
+
+      volumeDiscount() {
+        return 0;
+      },
+
+      contractDiscount() {
+        return 0;
+      },
+
+      // Tier examples: the price once the tier's units are installed
+      tierYear2Prices(monthlyRate, commitYears, contractYears, existingFleetUnits, tiers) {
+        const existing = this.resolveExistingFleet(existingFleetUnits);
+        return tiers.map((tier) => fteYear2Price(this, existing + tier.minUnits));
+      },
+    },
   },
+};
 
-  /**
-   * Year 2+ price per unit per year (with 2 discount layers)
-   * Layer 1: Volume discount (full)
-   * Layer 2: Contract discount (full)
-   */
-  year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const minGap = CONFIG.pricing.year2MinGap || 0;
-    const rawPrice = this.year2PriceRaw(monthlyRate, commitYears, contractYears, existingFleetUnits);
-
-    if (minGap <= 0) {
-      return this.roundUp10(rawPrice);
-    }
+/**
+ * Create a pricing engine bound to one config object.
+ * The engine reads `config` on every call, so in-place edits are picked up,
+ * but it never touches the global CONFIG.
+ * options.registerUnits(date) counts active units in the installed-base register on a
+ * YYYY-MM-DD date; it backs fleet.source 'register' (the server passes it, pages don't).
+ */
+function createPricing(config, options = {}) {
+  let portfolioCache = { key: null, units: null };
+  const registerCache = new Map();
+  const engine = {
+    config,
+
+    // ============================================================
+    // PRICING MODEL
+    // ============================================================
+
+    /**
+     * Active pricing model id (config.model; unknown or missing means the default)
+     */
+    modelId() {
+      return Object.prototype.hasOwnProperty.call(PRICING_MODELS, config.model) ? config.model : DEFAULT_PRICING_MODEL;
+    },
+
+    pricingModel() {
+      return PRICING_MODELS[this.modelId()];
+    },
+
+    /**
+     * Engine on a copy of the config priced with another model
+     */
+    withModel(modelId) {
+      return createPricing({ ...config, model: modelId }, options);
+    },
+
+    // ============================================================
+    // COST CALCULATIONS
+    // ============================================================
+
+    get hardwareReserve() {
+      return config.hardware.fluxBox / config.hardware.replacementCycleYears;
+    },
+
+    /**
+     * Existing fleet: an explicit count, else the register's active units on `asOf`
+     * (YYYY-MM-DD, default today) when fleet.source is 'register', else fleet.existingUnits
+     */
+    resolveExistingFleet(existingFleetUnits, asOf) {
+      if (Number.isFinite(existingFleetUnits)) return existingFleetUnits;
+      if (config.fleet.source === 'register' && options.registerUnits) return this.registerUnits(asOf);
+      return config.fleet.existingUnits || 0;
+    },
+
+    registerUnits(asOf) {
+      const date = asOf || new Date().toISOString().slice(0, 10);
+      if (!registerCache.has(date)) registerCache.set(date, options.registerUnits(date) || 0);
+      return registerCache.get(date);
+    },
+
+    // ============================================================
+    // ANNUAL ESCALATORS
+    // ============================================================
+
+    /**
+     * Cumulative factor after `steps` annual increases of one escalator
+     * ('price', 'labor' or 'hardware'). Step n uses table[n - 1] when set,
+     * otherwise the flat rate.
+     */
+    escalationIndex(series, steps) {
+      const spec = (config.escalation && config.escalation[series]) || {};
+      const table = Array.isArray(spec.table) ? spec.table : [];
+      const rate = Number.isFinite(spec.rate) ? spec.rate : 0;
+      let index = 1;
+      for (let step = 1; step <= steps; step++) {
+        index *= 1 + (Number.isFinite(table[step - 1]) ? table[step - 1] : rate);
+      }
+      return index;
+    },
+
+    escalates(series) {
+      const spec = (config.escalation && config.escalation[series]) || {};
+      const table = Array.isArray(spec.table) ? spec.table : [];
+      return (Number.isFinite(spec.rate) && spec.rate !== 0) || table.some((entry) => Number.isFinite(entry) && entry !== 0);
+    },
+
+    laborRateForYear(year = 1) {
+      return config.labor.hourlyRate * this.escalationIndex('labor', year - 1);
+    },
+
+    fteSalaryForYear(year = 1) {
+      return config.labor.fteSalary * this.escalationIndex('labor', year - 1);
+    },
+
+    hardwareCostForYear(year = 1) {
+      return config.hardware.fluxBox * this.escalationIndex('hardware', year - 1);
+    },
+
+    hardwareReserveForYear(year = 1) {
+      return this.hardwareCostForYear(year) / config.hardware.replacementCycleYears;
+    },
+
+    // ============================================================
+    // RAMP SCHEDULES
+    // ============================================================
+
+    /**
+     * Every monthlyRate argument also accepts a delivery schedule:
+     * { yearly: [monthly rate in year 1, year 2, ...] } or
+     * { monthly: [units delivered in month 1, month 2, ...] }.
+     * The schedule's length is the commitment, so commitYears is ignored.
+     * Returns units per month, or null for a constant rate.
+     */
+    rampMonths(monthlyRate) {
+      if (!monthlyRate || typeof monthlyRate !== 'object') return null;
+      const clean = (value) => Math.max(0, Number(value) || 0);
+      if (Array.isArray(monthlyRate.monthly)) return monthlyRate.monthly.map(clean);
+      if (Array.isArray(monthlyRate.yearly)) {
+        return monthlyRate.yearly.flatMap((rate) => new Array(12).fill(clean(rate)));
+      }
+      return null;
+    },
+
+    isRamp(monthlyRate) {
+      return this.rampMonths(monthlyRate) !== null;
+    },
+
+    /**
+     * Commitment duration in years (schedule length for a ramp)
+     */
+    commitmentYears(monthlyRate, commitYears) {
+      const months = this.rampMonths(monthlyRate);
+      return months ? months.length / 12 : commitYears;
+    },
+
+    /**
+     * Average monthly rate over the commitment (the rate itself when constant)
+     */
+    averageMonthlyRate(monthlyRate) {
+      const months = this.rampMonths(monthlyRate);
+      if (!months) return monthlyRate;
+      if (!months.length) return 0;
+      return months.reduce((sum, units) => sum + units, 0) / months.length;
+    },
+
+    /**
+     * Same ramp shape scaled by a factor (used for commitment curves)
+     */
+    scaleRamp(monthlyRate, factor) {
+      const months = this.rampMonths(monthlyRate);
+      if (!months) return monthlyRate * factor;
+      return { monthly: months.map((units) => units * factor) };
+    },
+
+    // ============================================================
+    // INSTALLED BASE
+    // ============================================================
+
+    /**
+     * Units added per year at the average rate (ramp: total / schedule years)
+     */
+    annualUnits(monthlyRate) {
+      return this.averageMonthlyRate(monthlyRate) * 12;
+    },
+
+    /**
+     * Calculate total commitment (total units = rate × 12 × duration, or the ramp total)
+     */
+    totalCommitment(monthlyRate, commitYears) {
+      const months = this.rampMonths(monthlyRate);
+      if (months) return months.reduce((sum, units) => sum + units, 0);
+      return monthlyRate * 12 * commitYears;
+    },
+
+    /**
+     * Discount basis units (blended between annual units and total commitment)
+     * weight=0 => annual units only, weight=1 => total commitment
+     */
+    discountBasisUnits(monthlyRate, commitYears) {
+      const annualUnits = this.annualUnits(monthlyRate);
+      const weight = config.discounts.volumeDurationWeight ?? 1;
+      const clamped = Math.max(0, Math.min(1, weight));
+      return (annualUnits * (1 - clamped)) + (this.totalCommitment(monthlyRate, commitYears) * clamped);
+    },
+
+    unitsAddedByYear(year, monthlyRate, commitYears) {
+      const months = this.rampMonths(monthlyRate);
+      if (months) return months.slice(0, Math.max(0, year * 12)).reduce((sum, units) => sum + units, 0);
+      return this.annualUnits(monthlyRate) * Math.min(year, commitYears);
+    },
+
+    /**
+     * Average installed base during a given year: existing fleet, this deal and the portfolio
+     */
+    avgInstalledBaseForYear(year, monthlyRate, commitYears, existingFleetUnits) {
+      return this.dealInstalledBaseForYear(year, monthlyRate, commitYears, existingFleetUnits) + this.portfolioUnitsForYear(year);
+    },
+
+    /**
+     * Existing fleet plus one deal's units during a given year (linear ramp, or month by month for a schedule),
+     * less attrition. contractYears sets when the deal's units come up for renewal (default: never).
+     */
+    dealInstalledBaseForYear(year, monthlyRate, commitYears, existingFleetUnits, contractYears) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const months = this.rampMonths(monthlyRate);
+      if (months) {
+        // Each month's deliveries count half in the month they arrive
+        const start = Math.max(0, (year - 1) * 12);
+        let installed = existing + this.unitsAddedByYear(year - 1, monthlyRate);
+        let total = 0;
+        for (let month = start; month < start + 12; month++) {
+          const added = months[month] || 0;
+          total += installed + added / 2;
+          installed += added;
+        }
+        return Math.max(existing, total / 12) - this.unitsRetiredByYear(year, monthlyRate, commitYears, existing, contractYears);
+      }
+      const annualUnits = this.annualUnits(monthlyRate);
+      const unitsAdded = annualUnits * Math.min(year, commitYears);
+      let avgBase = existing + unitsAdded;
+      if (year <= commitYears) {
+        avgBase -= annualUnits / 2;
+      }
+      return Math.max(existing, avgBase) - this.unitsRetiredByYear(year, monthlyRate, commitYears, existing, contractYears);
+    },
+
+    // ============================================================
+    // ATTRITION (churn and non-renewal)
+    // ============================================================
+
+    /**
+     * Attrition settings; missing values mean no attrition
+     */
+    attrition() {
+      const settings = config.attrition || {};
+      const share = (value, max) => (Number.isFinite(value) ? Math.max(0, Math.min(max, value)) : 0);
+      return {
+        annualChurn: share(settings.annualChurn, MAX_ANNUAL_CHURN),
+        nonRenewal: share(settings.nonRenewal, 1),
+        existingContractYears: settings.existingContractYears >= 1 ? settings.existingContractYears : 5,
+      };
+    },
+
+    /**
+     * Share of a delivery still in service `age` years after the year it arrived:
+     * churn every year, and non-renewal each time its contract ends
+     */
+    unitRetention(age, contractYears) {
+      const { annualChurn, nonRenewal } = this.attrition();
+      const renewals = contractYears >= 1 ? Math.floor(age / contractYears) : 0;
+      return Math.pow(1 - annualChurn, age) * Math.pow(1 - nonRenewal, renewals);
+    },
+
+    /**
+     * Existing fleet still in service during year `year`. Its contracts are taken to end
+     * evenly over existingContractYears, so nonRenewal / existingContractYears of it lapses a year.
+     */
+    existingFleetForYear(year, existingFleetUnits) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const { annualChurn, nonRenewal, existingContractYears } = this.attrition();
+      return existing * Math.pow((1 - annualChurn) * (1 - nonRenewal / existingContractYears), Math.max(0, year - 1));
+    },
+
+    /**
+     * Units of the existing fleet and one deal lost to attrition before year `year`
+     */
+    unitsRetiredByYear(year, monthlyRate, commitYears, existingFleetUnits, contractYears) {
+      const { annualChurn, nonRenewal } = this.attrition();
+      if (!annualChurn && !nonRenewal) return 0;
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      let retired = existing - this.existingFleetForYear(year, existing);
+      for (let cohort = 1; cohort < year; cohort++) {
+        const delivered = this.unitsAddedByYear(cohort, monthlyRate, commitYears) - this.unitsAddedByYear(cohort - 1, monthlyRate, commitYears);
+        retired += delivered * (1 - this.unitRetention(year - cohort, contractYears));
+      }
+      return retired;
+    },
+
+    /**
+     * Annual churn at which the deal's contract margin reaches zero, with its price held at
+     * this config's quote (non-renewal as configured). 0 when the deal already loses money,
+     * null when it stays profitable up to the maximum churn.
+     */
+    breakEvenChurn(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const price = this.contractPrice(monthlyRate, commitYears, contractYears, existing);
+      const marginAt = (annualChurn) => createPricing({ ...config, attrition: { ...config.attrition, annualChurn } }, options)
+        .contractMargin(monthlyRate, commitYears, contractYears, existing, price);
+      if (marginAt(0) <= 0) return 0;
+      if (marginAt(MAX_ANNUAL_CHURN) > 0) return null;
+      let low = 0;
+      let high = MAX_ANNUAL_CHURN;
+      while (high - low > 1e-4) {
+        const mid = (low + high) / 2;
+        if (marginAt(mid) > 0) low = mid;
+        else high = mid;
+      }
+      return (low + high) / 2;
+    },
+
+    scaleFactor(installBase) {
+      const { scaleRefUnits, scaleSlope, scaleFloor } = config.scaleEfficiency;
+      if (installBase <= 0 || installBase <= scaleRefUnits) return 1;
+      const factor = 1 / (1 + scaleSlope * Math.log10(installBase / scaleRefUnits));
+      return Math.max(scaleFloor, Math.min(1, factor));
+    },
+
+    /**
+     * Support hours per unit for a given year with time + scale efficiency
+     */
+    supportHoursForYear(year, monthlyRate, commitYears, existingFleetUnits) {
+      const avgBase = this.avgInstalledBaseForYear(year, monthlyRate, commitYears, existingFleetUnits);
+      return this.supportHoursAt(year, avgBase);
+    },
+
+    /**
+     * Support hours per unit in its `age`-th contract year with a given installed base
+     */
+    supportHoursAt(age, installBase) {
+      const base = config.labor.supportHoursPerUnitYear;
+      const { supportDecayRate, supportFloor } = config.efficiency;
+      const timeFactor = Math.max(supportFloor, Math.pow(supportDecayRate, age - 1));
+      return base * timeFactor * this.scaleFactor(installBase);
+    },
+
+    /**
+     * Year 1 cost per unit. costYear picks the labor / hardware escalation year
+     * (pricing assumes year 1; the deal cash flow passes the deal year).
+     */
+    year1Cost(monthlyRate, commitYears, existingFleetUnits, costYear = 1) {
+      const hourlyRate = this.laborRateForYear(costYear);
+      const hardware = this.hardwareCostForYear(costYear);
+      const buildLabor = config.labor.buildHoursPerUnit * hourlyRate;
+      const year1Support = this.supportHoursForYear(1, monthlyRate, commitYears, existingFleetUnits) * hourlyRate;
+      const coordination = config.labor.coordinationHoursPerUnit * hourlyRate;
+      return hardware + buildLabor + year1Support + coordination;
+    },
+
+    /**
+     * Cost per unit in contract year `year`, escalated to costYear (defaults to the same year)
+     */
+    year2CostForYear(year, monthlyRate, commitYears, existingFleetUnits, costYear = year) {
+      const supportCost = this.supportHoursForYear(year, monthlyRate, commitYears, existingFleetUnits) * this.laborRateForYear(costYear);
+      return supportCost + this.hardwareReserveForYear(costYear);
+    },
+
+    year2Cost(monthlyRate, commitYears, existingFleetUnits) {
+      return this.year2CostForYear(2, monthlyRate, commitYears, existingFleetUnits);
+    },
+
+    /**
+     * Blended Year 2+ cost over a contract period (years 2 through contractYears)
+     */
+    year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits) {
+      const effectiveYears = Math.max(2, contractYears);
+      let total = 0;
+      for (let yr = 2; yr <= effectiveYears; yr++) {
+        total += this.year2CostForYear(yr, monthlyRate, commitYears, existingFleetUnits);
+      }
+      return total / (effectiveYears - 1);
+    },
+
+    /**
+     * Annual fixed overhead cost (dev/maintenance FTEs + additional).
+     * FTE salaries follow the labor escalator.
+     */
+    annualOverhead(year = 1) {
+      return (config.overhead.devMaintenanceFTEs * this.fteSalaryForYear(year)) +
+             config.overhead.additionalAnnualCost;
+    },
+
+    overheadPerUnitForYear(year, monthlyRate, commitYears, existingFleetUnits) {
+      const avgBase = this.avgInstalledBaseForYear(year, monthlyRate, commitYears, existingFleetUnits);
+      if (avgBase <= 0) return 0;
+      return this.annualOverhead(year) / avgBase;
+    },
+
+    overheadBlendedBase(contractYears, monthlyRate, commitYears, existingFleetUnits) {
+      const effectiveYears = Math.max(2, contractYears);
+      let total = 0;
+      for (let yr = 2; yr <= effectiveYears; yr++) {
+        total += this.overheadPerUnitForYear(yr, monthlyRate, commitYears, existingFleetUnits);
+      }
+      return total / (effectiveYears - 1);
+    },
 
-    const terms = Object.keys(CONFIG.contractDiscounts)
-      .map(Number)
-      .filter((years) => years > 1)
-      .sort((a, b) => a - b);
+    overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits) {
+      const base = this.overheadBlendedBase(contractYears, monthlyRate, commitYears, existingFleetUnits);
+      if (config.pricing && config.pricing.overheadCreditEnabled === false) {
+        return base;
+      }
+      if (contractYears <= 1) return base;
+      const y1Price = this.year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      const y1Cost = this.year1Cost(monthlyRate, commitYears, existingFleetUnits);
+      const y1Overhead = this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * config.pricing.overheadYear1Factor;
+      const surplus = Math.max(0, y1Price - y1Cost - y1Overhead);
+      const creditCapRaw = config.pricing.overheadCreditYears;
+      const creditCap = Number.isFinite(creditCapRaw) && creditCapRaw > 0
+        ? creditCapRaw
+        : (contractYears - 1);
+      const creditYears = Math.max(1, Math.min(contractYears - 1, creditCap));
+      const creditPerYear = surplus / creditYears;
+      return Math.max(0, base - creditPerYear);
+    },
+
+    // ============================================================
+    // VOLUME COMMITMENT CALCULATIONS
+    // ============================================================
+
+    /**
+     * Volume discount based on total units committed
+     */
+    volumeDiscount(totalUnits) {
+      const units = Number.isFinite(totalUnits) ? Math.max(0, totalUnits) : 0;
+      const tiers = this.normalizeVolumeTiers();
+      if (!tiers.length) return 0;
+
+      if (units <= tiers[0].minUnits) {
+        return this.clamp01(tiers[0].discount);
+      }
 
-    if (!terms.includes(contractYears)) {
-      return this.roundUp10(rawPrice);
-    }
+      for (let i = 0; i < tiers.length - 1; i++) {
+        const lower = tiers[i];
+        const upper = tiers[i + 1];
+        if (units >= lower.minUnits && units <= upper.minUnits) {
+          const span = upper.minUnits - lower.minUnits;
+          if (span <= 0) return this.clamp01(upper.discount);
+          const t = (units - lower.minUnits) / span;
+          const discount = lower.discount + (upper.discount - lower.discount) * t;
+          return this.clamp01(discount);
+        }
+      }
 
-    const rawByTerm = new Map();
-    for (const term of terms) {
-      rawByTerm.set(term, this.year2PriceRaw(monthlyRate, commitYears, term, existingFleetUnits));
-    }
+      return this.clamp01(tiers[tiers.length - 1].discount);
+    },
+
+    /**
+     * Get the current volume tier info
+     */
+    getVolumeTier(totalUnits) {
+      const units = Number.isFinite(totalUnits) ? Math.max(0, totalUnits) : 0;
+      const tiers = this.normalizeVolumeTiers();
+      if (!tiers.length) return { minUnits: 0, maxUnits: Infinity, discount: 0 };
+
+      for (let i = 0; i < tiers.length - 1; i++) {
+        const current = tiers[i];
+        const next = tiers[i + 1];
+        if (units >= current.minUnits && units < next.minUnits) {
+          return {
+            minUnits: current.minUnits,
+            maxUnits: next.minUnits - 1,
+            discount: this.volumeDiscount(units),
+          };
+        }
+      }
 
-    const adjustedByTerm = {};
-    let prevAdjusted = null;
-    for (let i = terms.length - 1; i >= 0; i -= 1) {
-      const term = terms[i];
-      const raw = rawByTerm.get(term);
-      const adjusted = prevAdjusted === null ? raw : Math.max(raw, prevAdjusted + minGap);
-      adjustedByTerm[term] = adjusted;
-      prevAdjusted = adjusted;
-    }
+      const last = tiers[tiers.length - 1];
+      return { minUnits: last.minUnits, maxUnits: Infinity, discount: this.volumeDiscount(units) };
+    },
+
+    /**
+     * Get the next volume tier
+     */
+    getNextVolumeTier(totalUnits) {
+      const units = Number.isFinite(totalUnits) ? Math.max(0, totalUnits) : 0;
+      const tiers = this.normalizeVolumeTiers();
+      for (const tier of tiers) {
+        if (units < tier.minUnits) {
+          return { minUnits: tier.minUnits, discount: tier.discount };
+        }
+      }
+      return null;
+    },
+
+    normalizeVolumeTiers() {
+      const raw = (config.discounts && Array.isArray(config.discounts.volumeTiers))
+        ? config.discounts.volumeTiers
+        : [];
+      const cleaned = raw
+        .map((tier) => {
+          const minUnits = Number(tier.minUnits);
+          const discount = Number(tier.discount);
+          if (!Number.isFinite(minUnits) || !Number.isFinite(discount)) return null;
+          return {
+            minUnits: Math.max(0, Math.round(minUnits)),
+            discount: this.clamp01(discount),
+          };
+        })
+        .filter(Boolean);
+
+      if (!cleaned.some((tier) => tier.minUnits === 0)) {
+        cleaned.push({ minUnits: 0, discount: 0 });
+      }
 
-    return this.roundUp10(adjustedByTerm[contractYears]);
-  },
+      cleaned.sort((a, b) => a.minUnits - b.minUnits);
 
-  /**
-   * Year 2+ total discount (2 layers)
-   */
-  year2TotalDiscount(monthlyRate, commitYears, contractYears) {
-    const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
-    return this.volumeDiscount(discountUnits) + this.contractDiscount(contractYears);
-  },
+      const deduped = [];
+      for (const tier of cleaned) {
+        const last = deduped[deduped.length - 1];
+        if (last && last.minUnits === tier.minUnits) {
+          last.discount = Math.max(last.discount, tier.discount);
+        } else {
+          deduped.push({ ...tier });
+        }
+      }
 
-  /**
-   * Total contract price per unit
-   */
-  contractPrice(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const y1 = this.year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
-    const y2 = this.year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
-    return y1 + (y2 * Math.max(0, contractYears - 1));
-  },
+      let prev = 0;
+      for (const tier of deduped) {
+        if (tier.discount < prev) tier.discount = prev;
+        prev = tier.discount;
+      }
 
-  // ============================================================
-  // MARGIN CALCULATIONS
-  // ============================================================
+      return deduped;
+    },
+
+    /**
+     * Contract lengths with a configured discount (standard part numbers), ascending
+     */
+    contractTerms() {
+      return Object.keys(config.contractDiscounts)
+        .map(Number)
+        .filter(Number.isFinite)
+        .sort((a, b) => a - b);
+    },
+
+    maxContractYears() {
+      const terms = this.contractTerms();
+      return terms.length ? terms[terms.length - 1] : 1;
+    },
+
+    isStandardTerm(contractYears) {
+      return this.contractTerms().includes(contractYears);
+    },
+
+    /**
+     * Any whole number of years from 1 up to the longest configured term can be priced
+     */
+    isContractTerm(contractYears) {
+      return Number.isInteger(contractYears) && contractYears >= 1 && contractYears <= this.maxContractYears();
+    },
+
+    /**
+     * Contract discount based on per-unit contract length.
+     * Terms between configured points interpolate linearly; outside them the nearest point applies.
+     */
+    contractDiscount(contractYears) {
+      if (Object.prototype.hasOwnProperty.call(config.contractDiscounts, contractYears)) {
+        return config.contractDiscounts[contractYears] || 0;
+      }
+      const terms = this.contractTerms();
+      if (!terms.length) return 0;
+      const longer = terms.find((years) => years > contractYears);
+      const shorter = terms.filter((years) => years < contractYears).pop();
+      if (shorter === undefined) return config.contractDiscounts[longer] || 0;
+      if (longer === undefined) return config.contractDiscounts[shorter] || 0;
+      const low = config.contractDiscounts[shorter] || 0;
+      const high = config.contractDiscounts[longer] || 0;
+      return low + (high - low) * (contractYears - shorter) / (longer - shorter);
+    },
+
+    // ============================================================
+    // PRICE CALCULATIONS
+    // ============================================================
+
+    clamp01(value) {
+      if (!Number.isFinite(value)) return 0;
+      return Math.max(0, Math.min(1, value));
+    },
+
+    licenseListYear1() {
+      const list = (config.licensing && Number.isFinite(config.licensing.year1List))
+        ? config.licensing.year1List
+        : (config.licensing && Number.isFinite(config.licensing.year1) ? config.licensing.year1 : 0);
+      return Number.isFinite(list) ? list : 0;
+    },
+
+    licenseListYear2() {
+      const list = (config.licensing && Number.isFinite(config.licensing.year2List))
+        ? config.licensing.year2List
+        : (config.licensing && Number.isFinite(config.licensing.year2Plus) ? config.licensing.year2Plus : 0);
+      return Number.isFinite(list) ? list : 0;
+    },
+
+    licenseDiscountYear1() {
+      return this.clamp01(config.licensing && Number.isFinite(config.licensing.year1Discount)
+        ? config.licensing.year1Discount
+        : 0);
+    },
+
+    licenseDiscountYear2() {
+      return this.clamp01(config.licensing && Number.isFinite(config.licensing.year2Discount)
+        ? config.licensing.year2Discount
+        : 0);
+    },
+
+    licensePriceYear1() {
+      return this.licenseListYear1() * (1 - this.licenseDiscountYear1());
+    },
+
+    licensePriceYear2() {
+      return this.licenseListYear2() * (1 - this.licenseDiscountYear2());
+    },
+
+    year1ListPrice(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      return config.pricing.year1FixedPrice;
+    },
+
+    displayListYear1() {
+      const list = config.pricing && Number.isFinite(config.pricing.listPriceYear1)
+        ? config.pricing.listPriceYear1
+        : 0;
+      if (list > 0) return list;
+      return config.pricing.year1FixedPrice + this.licenseListYear1();
+    },
+
+    displayListYear2(existingFleetUnits) {
+      const list = config.pricing && Number.isFinite(config.pricing.listPriceYear2)
+        ? config.pricing.listPriceYear2
+        : 0;
+      if (list > 0) return list;
+      return this.year2ListPrice(10, 1, config.pricing.year2BaselineYears || 10, existingFleetUnits) + this.licenseListYear2();
+    },
+
+    year1BasePrice(monthlyRate, commitYears) {
+      const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
+      const volumeDisc = this.cappedDiscount(this.volumeDiscount(discountUnits) * config.discounts.year1VolumeFactor);
+      return this.roundUp10(config.pricing.year1FixedPrice * (1 - volumeDisc));
+    },
+
+    year1ShiftAmount(monthlyRate, commitYears) {
+      const base = this.year1BasePrice(monthlyRate, commitYears);
+      const factor = config.pricing.year1ShiftFactor || 0;
+      return Math.max(0, Math.min(1, factor)) * base;
+    },
+
+    year1ShiftPerYear(monthlyRate, commitYears, contractYears) {
+      if (contractYears <= 1) return 0;
+      return this.year1ShiftAmount(monthlyRate, commitYears) / (contractYears - 1);
+    },
+
+    year2ListPrice(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const baselineYearsRaw = config.pricing.year2BaselineYears;
+      const baselineYears = Math.max(2, Number.isFinite(baselineYearsRaw) ? baselineYearsRaw : 10);
+      const cost = this.year2CostBlended(baselineYears, monthlyRate, commitYears, existingFleetUnits);
+      const overhead = this.overheadBlended(baselineYears, monthlyRate, commitYears, existingFleetUnits);
+      const minNetPrice = (cost + overhead) * (1 + config.pricing.margins.year2Plus);
+
+      const baselineDisc = this.contractDiscount(baselineYears);
+      const denom = Math.max(0.01, 1 - baselineDisc);
+      // The price escalator applies on top of this; Year 2 itself is never rebased down
+      return minNetPrice / denom;
+    },
+
+    /**
+     * Average Y2+ price escalation factor over contract years 2..contractYears (year 2 = 1)
+     */
+    averagePriceIndex(contractYears) {
+      const effectiveYears = Math.max(2, contractYears);
+      let total = 0;
+      for (let yr = 2; yr <= effectiveYears; yr++) {
+        total += this.escalationIndex('price', yr - 2);
+      }
+      return total / (effectiveYears - 1);
+    },
+
+    year2PriceRaw(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const listPrice = this.year2ListPrice(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
+      const volumeDisc = this.volumeDiscount(discountUnits);
+      const contractDisc = this.contractDiscount(contractYears);
+      const totalDisc = this.cappedDiscount(volumeDisc + contractDisc);
+      const basePrice = this.roundUp10(listPrice * (1 - totalDisc));
+      const license = this.licensePriceYear2();
+      const shiftAddOn = this.year1ShiftPerYear(monthlyRate, commitYears, contractYears);
+      const price = basePrice + license + shiftAddOn;
+      if (!this.guardrails().clamp) return price;
+      return Math.max(price, this.year2PriceFloor(monthlyRate, commitYears, contractYears, existingFleetUnits));
+    },
+
+    /**
+     * Year 1 price per unit (volume discount only)
+     * Volume discount uses the reduced Year 1 factor.
+     */
+    year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const basePrice = this.year1BasePrice(monthlyRate, commitYears);
+      const shiftAmount = this.year1ShiftAmount(monthlyRate, commitYears);
+      const shiftedPrice = Math.max(0, basePrice - shiftAmount);
+      const license = this.licensePriceYear1();
+      if (!this.guardrails().clamp) return this.roundUp10(shiftedPrice + license);
+      const floor = this.year1PriceFloor(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      return this.roundUp10(Math.max(shiftedPrice + license, floor));
+    },
+
+    /**
+     * Year 1 total discount (volume only)
+     */
+    year1TotalDiscount(monthlyRate, commitYears, contractYears) {
+      const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
+      return this.cappedDiscount(this.volumeDiscount(discountUnits) * config.discounts.year1VolumeFactor);
+    },
+
+    /**
+     * Year 2+ price per unit per year (with 2 discount layers)
+     * Layer 1: Volume discount (full)
+     * Layer 2: Contract discount (full)
+     */
+    year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const minGap = config.pricing.year2MinGap || 0;
+      const rawPrice = this.year2PriceRaw(monthlyRate, commitYears, contractYears, existingFleetUnits);
+
+      if (minGap <= 0 || contractYears <= 1) {
+        return this.roundUp10(rawPrice);
+      }
 
-  year1Margin(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const price = this.year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
-    const cost = this.year1Cost(monthlyRate, commitYears, existingFleetUnits);
-    const overhead = this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * CONFIG.pricing.overheadYear1Factor;
-    return (price - cost - overhead) / price;
-  },
+      const terms = this.contractTerms().filter((years) => years > 1);
+      const ladder = this.year2PriceLadder(monthlyRate, commitYears, existingFleetUnits, terms);
+      if (terms.includes(contractYears)) {
+        return this.roundUp10(ladder[contractYears]);
+      }
 
-  year2Margin(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const price = this.year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
-    const cost = this.year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
-    return (price - cost) / price;
-  },
+      const longer = terms.find((years) => years > contractYears);
+      const shorter = terms.filter((years) => years < contractYears).pop();
+      if (longer === undefined) return this.roundUp10(rawPrice);
+      if (shorter === undefined) return this.roundUp10(Math.max(rawPrice, ladder[longer] + minGap));
+
+      // Other terms sit between their configured neighbours, spaced by the share of minGap
+      // their position earns, then walked down from the longer neighbour so each year
+      // shorter costs at least one rounding step ($10) more. The configured prices never move.
+      const longerPrice = this.roundUp10(ladder[longer]);
+      const shorterPrice = this.roundUp10(ladder[shorter]);
+      let price = longerPrice;
+      for (let term = longer - 1; term >= contractYears; term -= 1) {
+        const position = (term - shorter) / (longer - shorter);
+        const floor = ladder[longer] + minGap * (1 - position);
+        const ceiling = ladder[shorter] - minGap * position;
+        const raw = term === contractYears
+          ? rawPrice
+          : this.year2PriceRaw(monthlyRate, commitYears, term, existingFleetUnits);
+        const spaced = this.roundUp10(Math.min(ceiling, Math.max(floor, raw)));
+        price = Math.min(Math.max(spaced, price + 10), shorterPrice - 10 * (term - shorter));
+      }
+      // Neighbours closer than $10 a year apart leave no room for a step per year
+      return Math.max(price, Math.min(longerPrice + 10, shorterPrice));
+    },
+
+    /**
+     * Unrounded Y2+ prices for the configured multi-year terms, raised from the
+     * longest term down so each shorter term is at least minGap more per year
+     */
+    year2PriceLadder(monthlyRate, commitYears, existingFleetUnits, terms) {
+      const minGap = config.pricing.year2MinGap || 0;
+      const adjustedByTerm = {};
+      let prevAdjusted = null;
+      for (let i = terms.length - 1; i >= 0; i -= 1) {
+        const term = terms[i];
+        const raw = this.year2PriceRaw(monthlyRate, commitYears, term, existingFleetUnits);
+        const adjusted = prevAdjusted === null ? raw : Math.max(raw, prevAdjusted + minGap);
+        adjustedByTerm[term] = adjusted;
+        prevAdjusted = adjusted;
+      }
+      return adjustedByTerm;
+    },
+
+    /**
+     * Year 2+ total discount (2 layers)
+     */
+    year2TotalDiscount(monthlyRate, commitYears, contractYears) {
+      const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
+      return this.cappedDiscount(this.volumeDiscount(discountUnits) + this.contractDiscount(contractYears));
+    },
+
+    /**
+     * Y2+ price per unit for each contract year 2..contractYears.
+     * Year 2 is year2Price; later years apply the price escalator.
+     */
+    year2Prices(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const y2 = this.year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      const prices = [];
+      for (let yr = 2; yr <= contractYears; yr++) {
+        prices.push(yr === 2 ? y2 : this.roundUp10(y2 * this.escalationIndex('price', yr - 2)));
+      }
+      return prices;
+    },
+
+    /**
+     * Average escalated Y2+ price per unit per year over the contract (mean of year2Prices)
+     */
+    year2PriceBlended(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      if (contractYears <= 1) return this.year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      const prices = this.year2Prices(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      return prices.reduce((sum, price) => sum + price, 0) / prices.length;
+    },
+
+    /**
+     * Total contract price per unit
+     */
+    contractPrice(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const y1 = this.year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      const y2 = this.year2Prices(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      return y2.reduce((sum, price) => sum + price, y1);
+    },
+
+    // ============================================================
+    // MARGIN CALCULATIONS
+    // ============================================================
+
+    year1Margin(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const price = this.year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      const cost = this.year1Cost(monthlyRate, commitYears, existingFleetUnits);
+      const overhead = this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * config.pricing.overheadYear1Factor;
+      return (price - cost - overhead) / price;
+    },
+
+    year2Margin(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const price = this.year2PriceBlended(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      const cost = this.year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
+      return (price - cost) / price;
+    },
+
+    // `price` defaults to this deal's price; pass a locked price to measure cost changes only
+    year2MarginWithOverhead(monthlyRate, commitYears, contractYears, existingFleetUnits,
+      price = this.year2PriceBlended(monthlyRate, commitYears, contractYears, existingFleetUnits)) {
+      const cost = this.year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
+      const overhead = this.overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
+      return (price - cost - overhead) / price;
+    },
+
+    contractMargin(monthlyRate, commitYears, contractYears, existingFleetUnits,
+      price = this.contractPrice(monthlyRate, commitYears, contractYears, existingFleetUnits)) {
+      const y1Cost = this.year1Cost(monthlyRate, commitYears, existingFleetUnits);
+      const y1Overhead = this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * config.pricing.overheadYear1Factor;
+      const y2Cost = this.year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
+      const y2Overhead = this.overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
+      const years = Math.max(0, contractYears - 1);
+      const totalCost = y1Cost + y1Overhead + (years * (y2Cost + y2Overhead));
+      return (price - totalCost) / price;
+    },
+
+    // ============================================================
+    // GUARDRAILS
+    // ============================================================
+
+    /**
+     * Guardrail settings; missing values are switched off
+     */
+    guardrails() {
+      const rules = config.guardrails || {};
+      const value = (entry, fallback) => (Number.isFinite(entry) ? entry : fallback);
+      return {
+        clamp: rules.clamp === true,
+        maxTotalDiscount: value(rules.maxTotalDiscount, Infinity),
+        minYear1Margin: value(rules.minYear1Margin, -Infinity),
+        minYear2Margin: value(rules.minYear2Margin, -Infinity),
+        minContractMargin: value(rules.minContractMargin, -Infinity),
+        minYear1Price: value(rules.minYear1Price, 0),
+        minYear2Price: value(rules.minYear2Price, 0),
+      };
+    },
+
+    /**
+     * Combined discount, capped at maxTotalDiscount in clamp mode
+     */
+    cappedDiscount(total) {
+      const rules = this.guardrails();
+      return rules.clamp ? Math.min(total, rules.maxTotalDiscount) : total;
+    },
+
+    /**
+     * Lowest Year 1 price meeting the price floor, the Year 1 margin floor
+     * and, for 1-year contracts, the contract margin floor
+     */
+    year1PriceFloor(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const rules = this.guardrails();
+      const cost = this.year1Cost(monthlyRate, commitYears, existingFleetUnits)
+        + this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * config.pricing.overheadYear1Factor;
+      const margins = [rules.minYear1Margin].concat(contractYears <= 1 ? [rules.minContractMargin] : []);
+      return margins
+        .filter((margin) => Number.isFinite(margin) && margin < 1)
+        .reduce((floor, margin) => Math.max(floor, cost / (1 - margin)), rules.minYear1Price);
+    },
+
+    /**
+     * Lowest Year 2 price meeting the price floor and the Y2+ (with overhead)
+     * and contract margin floors, allowing for the price escalator
+     */
+    year2PriceFloor(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const rules = this.guardrails();
+      const years = contractYears - 1;
+      if (years <= 0) return rules.minYear2Price;
+      const priceIndex = this.averagePriceIndex(contractYears);
+      const cost = this.year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits)
+        + this.overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
+      let floor = rules.minYear2Price;
+      if (Number.isFinite(rules.minYear2Margin) && rules.minYear2Margin < 1) {
+        floor = Math.max(floor, cost / (1 - rules.minYear2Margin) / priceIndex);
+      }
+      if (Number.isFinite(rules.minContractMargin) && rules.minContractMargin < 1) {
+        const y1Cost = this.year1Cost(monthlyRate, commitYears, existingFleetUnits)
+          + this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * config.pricing.overheadYear1Factor;
+        const needed = (y1Cost + years * cost) / (1 - rules.minContractMargin)
+          - this.year1Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
+        floor = Math.max(floor, needed / years / priceIndex);
+      }
+      return floor;
+    },
+
+    /**
+     * Same engine and config with clamping switched off (guardrails only flag)
+     */
+    withoutClamp() {
+      return createPricing({ ...config, guardrails: { ...(config.guardrails || {}), clamp: false } }, options);
+    },
+
+    /**
+     * Guardrail breaches for one deal, measured without clamping:
+     * [{ rule, limit, value, clamped }]. clamped is true when clamp mode resolves the breach.
+     * Pass `unclamped` (withoutClamp()) when checking many deals.
+     */
+    guardrailWarnings(monthlyRate, commitYears, contractYears, existingFleetUnits, unclamped) {
+      const rules = this.guardrails();
+      const raw = unclamped || (rules.clamp ? this.withoutClamp() : this);
+      const args = [monthlyRate, commitYears, contractYears, existingFleetUnits];
+      const multiYear = contractYears > 1;
+      const checks = [
+        { rule: 'maxTotalDiscount', max: true, read: (p) => Math.max(p.year1TotalDiscount(...args), multiYear ? p.year2TotalDiscount(...args) : 0) },
+        { rule: 'minYear1Margin', read: (p) => p.year1Margin(...args) },
+        { rule: 'minYear2Margin', skip: !multiYear, read: (p) => p.year2MarginWithOverhead(...args) },
+        { rule: 'minContractMargin', read: (p) => p.contractMargin(...args) },
+        { rule: 'minYear1Price', read: (p) => p.year1Price(...args) },
+        { rule: 'minYear2Price', skip: !multiYear, read: (p) => p.year2Price(...args) },
+      ];
+      const tolerance = 1e-9;
+      const breaches = (check, value) => (check.max
+        ? value > rules[check.rule] + tolerance
+        : value < rules[check.rule] - tolerance);
+
+      return checks
+        .filter((check) => !check.skip && Number.isFinite(rules[check.rule]))
+        .map((check) => ({ check, value: check.read(raw) }))
+        .filter(({ check, value }) => breaches(check, value))
+        .map(({ check, value }) => ({
+          rule: check.rule,
+          limit: rules[check.rule],
+          value,
+          clamped: rules.clamp && !breaches(check, check.read(this)),
+        }));
+    },
+
+    /**
+     * Guardrail breaches across a rate × duration × contract grid.
+     * Lists only the cells with warnings, plus a count per rule.
+     */
+    guardrailReport(rates, commitDurations, contracts, existingFleetUnits) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const unclamped = this.guardrails().clamp ? this.withoutClamp() : this;
+      const cells = [];
+      const summary = {};
+      contracts.forEach((contractYears) => {
+        commitDurations.forEach((commitYears) => {
+          rates.forEach((monthlyRate) => {
+            const warnings = this.guardrailWarnings(monthlyRate, commitYears, contractYears, existing, unclamped);
+            if (!warnings.length) return;
+            warnings.forEach((warning) => { summary[warning.rule] = (summary[warning.rule] || 0) + 1; });
+            cells.push({ partNumber: this.partNumber(contractYears), monthlyRate, commitYears, contractYears, warnings });
+          });
+        });
+      });
+      return {
+        checked: contracts.length * commitDurations.length * rates.length,
+        clamp: this.guardrails().clamp,
+        summary,
+        cells,
+      };
+    },
+
+    // ============================================================
+    // GOAL SEEK (what it takes to reach a customer's target price)
+    // ============================================================
+
+    /**
+     * Smallest whole monthly rate above the current one (commitment duration held)
+     * whose contract price is at or below targetPrice; null if none up to maxMonthlyRate
+     */
+    seekMonthlyRate(targetPrice, monthlyRate, commitYears, contractYears, existingFleetUnits, maxMonthlyRate = 100) {
+      for (let rate = Math.floor(monthlyRate) + 1; rate <= maxMonthlyRate; rate++) {
+        const price = this.contractPrice(rate, commitYears, contractYears, existingFleetUnits);
+        if (price <= targetPrice) return { monthlyRate: rate, commitYears, contractPrice: price };
+      }
+      return null;
+    },
+
+    /**
+     * Shortest whole commitment above the current one (monthly rate held)
+     * whose contract price is at or below targetPrice; null if none up to maxCommitYears
+     */
+    seekCommitYears(targetPrice, monthlyRate, commitYears, contractYears, existingFleetUnits, maxCommitYears = 10) {
+      for (let years = Math.floor(commitYears) + 1; years <= maxCommitYears; years++) {
+        const price = this.contractPrice(monthlyRate, years, contractYears, existingFleetUnits);
+        if (price <= targetPrice) return { monthlyRate, commitYears: years, contractPrice: price };
+      }
+      return null;
+    },
+
+    /**
+     * Highest Y2+ margin (pricing.margins.year2Plus, the markup on Y2+ cost + overhead)
+     * that brings the contract price to or below targetPrice with everything else held.
+     * null for 1-year contracts or when even a 0% margin is not enough.
+     */
+    seekYear2Margin(targetPrice, monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      if (contractYears <= 1) return null;
+      const current = config.pricing.margins.year2Plus;
+      const withMargin = (margin) => createPricing({
+        ...config,
+        pricing: { ...config.pricing, margins: { ...config.pricing.margins, year2Plus: margin } },
+      }, options);
+      const priceAt = (margin) => withMargin(margin).contractPrice(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      if (priceAt(current) <= targetPrice) return null;
+      if (priceAt(0) > targetPrice) return null;
+
+      // Price rises with the margin (in $10 steps), so bisect for the last margin that fits
+      let low = 0;
+      let high = current;
+      for (let i = 0; i < 30 && high - low > 1e-5; i++) {
+        const mid = (low + high) / 2;
+        if (priceAt(mid) <= targetPrice) low = mid;
+        else high = mid;
+      }
+      const margin = Math.floor(low * 10000) / 10000;
+      const engine = withMargin(margin);
+      return {
+        current,
+        margin,
+        concession: Math.round((current - margin) * 10000) / 10000,
+        contractPrice: engine.contractPrice(monthlyRate, commitYears, contractYears, existingFleetUnits),
+        year2Price: engine.year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits),
+        year2MarginWithOverhead: engine.year2MarginWithOverhead(monthlyRate, commitYears, contractYears, existingFleetUnits),
+        contractMargin: engine.contractMargin(monthlyRate, commitYears, contractYears, existingFleetUnits),
+      };
+    },
+
+    /**
+     * Ways to reach a target contract price for one deal (constant monthly rate):
+     * a higher monthly rate or a longer commitment, each with the extra units it takes.
+     * `internal` adds the Y2+ margin concession needed at the current commitment.
+     */
+    goalSeek(targetPrice, monthlyRate, commitYears, contractYears, existingFleetUnits, runOptions = {}) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const contractPrice = this.contractPrice(monthlyRate, commitYears, contractYears, existing);
+      const totalUnits = this.totalCommitment(monthlyRate, commitYears);
+      const withUnits = (option) => {
+        if (!option) return null;
+        const units = this.totalCommitment(option.monthlyRate, option.commitYears);
+        return { ...option, totalUnits: units, additionalUnits: units - totalUnits };
+      };
+      const met = contractPrice <= targetPrice;
+      const byRate = met ? null : withUnits(this.seekMonthlyRate(targetPrice, monthlyRate, commitYears, contractYears, existing, runOptions.maxMonthlyRate));
+      const byDuration = met ? null : withUnits(this.seekCommitYears(targetPrice, monthlyRate, commitYears, contractYears, existing, runOptions.maxCommitYears));
+      const best = [byRate, byDuration]
+        .filter(Boolean)
+        .sort((a, b) => a.additionalUnits - b.additionalUnits)[0] || null;
+
+      const result = {
+        targetPrice,
+        contractPrice,
+        totalUnits,
+        met,
+        byMonthlyRate: byRate,
+        byCommitYears: byDuration,
+        fewestUnits: best,
+      };
+      if (runOptions.internal) {
+        result.year2Margin = met ? null : this.seekYear2Margin(targetPrice, monthlyRate, commitYears, contractYears, existing);
+      }
+      return result;
+    },
+
+    // ============================================================
+    // SENSITIVITY (one assumption at a time, for a tornado chart)
+    // ============================================================
+
+    /**
+     * Contract price and margin for one deal with each parameter moved to its low and
+     * high value, everything else held. Parameters are [{ path, low?, high?, min?, max? }]
+     * (default SENSITIVITY_PARAMETERS); without low / high the value moves by ±spread.
+     * Results are sorted by contract margin swing, widest first.
+     */
+    sensitivity(monthlyRate, commitYears, contractYears, existingFleetUnits, runOptions = {}) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const spread = Number.isFinite(runOptions.spread) ? Math.abs(runOptions.spread) : 0.2;
+      const measure = (engine) => ({
+        contractPrice: engine.contractPrice(monthlyRate, commitYears, contractYears, existing),
+        contractMargin: engine.contractMargin(monthlyRate, commitYears, contractYears, existing),
+      });
+      const base = measure(this);
+      const limit = (param, value) => Math.round(Math.min(
+        Number.isFinite(param.max) ? param.max : Infinity,
+        Math.max(Number.isFinite(param.min) ? param.min : -Infinity, value),
+      ) * 1e6) / 1e6;
+
+      const results = (runOptions.parameters || SENSITIVITY_PARAMETERS)
+        .filter((param) => typeof getConfigValue(config, param.path) === 'number')
+        .map((param) => {
+          const value = getConfigValue(config, param.path);
+          const low = limit(param, Number.isFinite(param.low) ? param.low : value * (1 - spread));
+          const high = limit(param, Number.isFinite(param.high) ? param.high : value * (1 + spread));
+          const atLow = measure(createPricing(setConfigValue(config, param.path, low), options));
+          const atHigh = measure(createPricing(setConfigValue(config, param.path, high), options));
+          return {
+            path: param.path,
+            label: param.label || param.path,
+            value,
+            low,
+            high,
+            atLow,
+            atHigh,
+            marginSwing: Math.abs(atHigh.contractMargin - atLow.contractMargin),
+            priceSwing: Math.abs(atHigh.contractPrice - atLow.contractPrice),
+          };
+        })
+        .sort((a, b) => b.marginSwing - a.marginSwing || b.priceSwing - a.priceSwing);
+
+      return { spread, base, results };
+    },
+
+    // ============================================================
+    // RISK SIMULATION (Monte Carlo)
+    // ============================================================
+
+    /**
+     * Contract and Y2+ margin distribution for one deal. Prices stay as quoted
+     * (committed rate, this config); each draw scales the uncertain inputs in
+     * config.simulation and reprices cost, overhead and volume at the drawn actual rate.
+     * Returns P10 / P50 / P90, mean and loss probability for each margin.
+     */
+    simulate(monthlyRate, commitYears, contractYears, existingFleetUnits, runOptions = {}) {
+      const settings = config.simulation || {};
+      const seed = Number.isFinite(runOptions.seed) ? runOptions.seed : (Number.isFinite(settings.seed) ? settings.seed : 1);
+      const draws = Math.max(1, Math.round(Number.isFinite(runOptions.draws) ? runOptions.draws : (settings.draws || 500)));
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const random = seededRandom(seed);
+      const contractPrice = this.contractPrice(monthlyRate, commitYears, contractYears, existing);
+      const year2Price = contractYears > 1 ? this.year2PriceBlended(monthlyRate, commitYears, contractYears, existing) : null;
+      const scaleRate = (rate, factor) => {
+        const months = this.rampMonths(rate);
+        return months ? { monthly: months.map((units) => units * factor) } : rate * factor;
+      };
+
+      const contractMargins = [];
+      const year2Margins = [];
+      for (let i = 0; i < draws; i++) {
+        const draw = JSON.parse(JSON.stringify(config));
+        draw.labor.supportHoursPerUnitYear *= sampleDistribution(settings.supportHours, random);
+        draw.efficiency.supportDecayRate = Math.min(1, draw.efficiency.supportDecayRate * sampleDistribution(settings.decayRate, random));
+        draw.scaleEfficiency.scaleSlope *= sampleDistribution(settings.scaleSlope, random);
+        const actualRate = scaleRate(monthlyRate, sampleDistribution(settings.orderRate, random));
+        draw.hardware.replacementCycleYears = Math.max(1, draw.hardware.replacementCycleYears * sampleDistribution(settings.replacementCycle, random));
+        const engine = createPricing(draw, options);
+        contractMargins.push(engine.contractMargin(actualRate, commitYears, contractYears, existing, contractPrice));
+        if (year2Price !== null) {
+          year2Margins.push(engine.year2MarginWithOverhead(actualRate, commitYears, contractYears, existing, year2Price));
+        }
+      }
 
-  year2MarginWithOverhead(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const price = this.year2Price(monthlyRate, commitYears, contractYears, existingFleetUnits);
-    const cost = this.year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
-    const overhead = this.overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
-    return (price - cost - overhead) / price;
-  },
+      const summarize = (values) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const percentile = (p) => {
+          const pos = (sorted.length - 1) * p;
+          const lower = Math.floor(pos);
+          const upper = Math.min(sorted.length - 1, lower + 1);
+          return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+        };
+        return {
+          p10: percentile(0.1),
+          p50: percentile(0.5),
+          p90: percentile(0.9),
+          mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+          lossProbability: sorted.filter((value) => value < 0).length / sorted.length,
+        };
+      };
+
+      return {
+        partNumber: this.partNumber(contractYears),
+        seed,
+        draws,
+        contractPrice,
+        contractMargin: {
+          base: this.contractMargin(monthlyRate, commitYears, contractYears, existing),
+          ...summarize(contractMargins),
+        },
+        year2Margin: year2Price === null ? null : {
+          base: this.year2MarginWithOverhead(monthlyRate, commitYears, contractYears, existing),
+          ...summarize(year2Margins),
+        },
+      };
+    },
+
+    // ============================================================
+    // PORTFOLIO (other signed deals sharing overhead and scale)
+    // ============================================================
+
+    /**
+     * Portfolio deals from config, with the rate in engine form (yearly ramp or flat monthly rate).
+     * startYear places each deal on the priced deal's timeline (0 = same year 1, -2 = two years earlier).
+     */
+    portfolioDeals() {
+      const deals = config.portfolio && Array.isArray(config.portfolio.deals) ? config.portfolio.deals : [];
+      return deals.map((deal, idx) => ({
+        name: deal.name || `Deal ${idx + 1}`,
+        rate: Array.isArray(deal.ramp) && deal.ramp.length ? { yearly: deal.ramp } : deal.monthlyRate,
+        commitYears: deal.commitYears,
+        contractYears: deal.contractYears,
+        startYear: Number.isFinite(deal.startYear) ? deal.startYear : 0,
+        year2Price: Number.isFinite(deal.year2Price) ? deal.year2Price : 0,
+      }));
+    },
+
+    /**
+     * Average installed units of one portfolio deal during year `year` of the priced deal
+     */
+    portfolioDealUnitsForYear(deal, year) {
+      const age = year - deal.startYear;
+      if (age < 1) return 0;
+      return this.dealInstalledBaseForYear(age, deal.rate, deal.commitYears, 0, deal.contractYears);
+    },
+
+    /**
+     * Portfolio units during year `year` of the priced deal. Pricing asks for this on every
+     * cost call, so results are kept per year until the deals change.
+     */
+    portfolioUnitsForYear(year) {
+      const deals = config.portfolio && config.portfolio.deals;
+      if (!Array.isArray(deals) || !deals.length) return 0;
+      const key = JSON.stringify([deals, config.attrition]);
+      if (portfolioCache.key !== key) portfolioCache = { key, units: new Map() };
+      if (!portfolioCache.units.has(year)) {
+        portfolioCache.units.set(year, this.portfolioDeals().reduce((sum, deal) => sum + this.portfolioDealUnitsForYear(deal, year), 0));
+      }
+      return portfolioCache.units.get(year);
+    },
+
+    /**
+     * Overhead and scale shared across the portfolio over the priced deal's contract years.
+     * - years: combined installed base, overhead per unit and scale factor, with and without the priced deal
+     * - deals: each portfolio deal's overhead share and allocation, and its Y2+ cost per unit and margin
+     *   (at its own year2Price, null when 0) in the years it is in Y2+, with and without the priced deal
+     * - deal / existing: overhead share and allocation of the priced deal and of the existing fleet
+     */
+    portfolioReport(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const deals = this.portfolioDeals();
+      const allocation = () => ({ units: 0, overheadAllocated: 0 });
+      const dealTotals = deals.map(() => ({ ...allocation(), price: 0, costWith: 0, costWithout: 0, year2Years: 0 }));
+      const newDeal = allocation();
+      const existingTotals = allocation();
+      let baseTotal = 0;
+
+      const years = [];
+      for (let year = 1; year <= Math.max(1, contractYears); year++) {
+        const newUnits = this.dealInstalledBaseForYear(year, monthlyRate, commitYears, 0);
+        const units = deals.map((deal) => this.portfolioDealUnitsForYear(deal, year));
+        const existingUnits = this.existingFleetForYear(year, existing);
+        const without = existingUnits + units.reduce((sum, value) => sum + value, 0);
+        const withDeal = without + newUnits;
+        const overhead = this.annualOverhead(year);
+        const perUnit = (base) => (base > 0 ? overhead / base : null);
+        years.push({
+          year,
+          existing: existingUnits,
+          portfolioUnits: without - existingUnits,
+          dealUnits: newUnits,
+          installedBase: withDeal,
+          overheadPerUnit: perUnit(withDeal),
+          overheadPerUnitWithout: perUnit(without),
+          scaleFactor: this.scaleFactor(withDeal),
+          scaleFactorWithout: this.scaleFactor(without),
+        });
+
+        baseTotal += withDeal;
+        const allocate = (totals, share) => {
+          totals.units += share;
+          totals.overheadAllocated += withDeal > 0 ? overhead * share / withDeal : 0;
+        };
+        allocate(newDeal, newUnits);
+        allocate(existingTotals, existingUnits);
+        deals.forEach((deal, idx) => {
+          allocate(dealTotals[idx], units[idx]);
+          const age = year - deal.startYear;
+          if (age < 2 || age > deal.contractYears) return;
+          const cost = (base) => this.supportHoursAt(age, base) * this.laborRateForYear(age)
+            + this.hardwareReserveForYear(age) + (base > 0 ? overhead / base : 0);
+          const totals = dealTotals[idx];
+          totals.year2Years += 1;
+          totals.price += this.roundUp10(deal.year2Price * this.escalationIndex('price', age - 2));
+          totals.costWith += cost(withDeal);
+          totals.costWithout += cost(without);
+        });
+      }
 
-  contractMargin(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const price = this.contractPrice(monthlyRate, commitYears, contractYears, existingFleetUnits);
-    const y1Cost = this.year1Cost(monthlyRate, commitYears, existingFleetUnits);
-    const y1Overhead = this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * CONFIG.pricing.overheadYear1Factor;
-    const y2Cost = this.year2CostBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
-    const y2Overhead = this.overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
-    const years = Math.max(0, contractYears - 1);
-    const totalCost = y1Cost + y1Overhead + (years * (y2Cost + y2Overhead));
-    return (price - totalCost) / price;
-  },
+      const share = (totals) => ({
+        share: baseTotal > 0 ? totals.units / baseTotal : 0,
+        overheadAllocated: totals.overheadAllocated,
+      });
+      const margin = (price, cost) => (price > 0 ? (price - cost) / price : null);
+      return {
+        years,
+        existing: share(existingTotals),
+        deal: share(newDeal),
+        deals: deals.map((deal, idx) => {
+          const totals = dealTotals[idx];
+          const n = totals.year2Years;
+          return {
+            name: deal.name,
+            partNumber: this.partNumber(deal.contractYears),
+            startYear: deal.startYear,
+            totalUnits: this.totalCommitment(deal.rate, deal.commitYears),
+            ...share(totals),
+            year2Years: n,
+            year2Cost: n ? { without: totals.costWithout / n, with: totals.costWith / n } : null,
+            year2Margin: n && totals.price > 0
+              ? { without: margin(totals.price, totals.costWithout), with: margin(totals.price, totals.costWith) }
+              : null,
+          };
+        }),
+      };
+    },
+
+    // ============================================================
+    // DEAL CASH FLOW
+    // ============================================================
+
+    financeDiscountRate() {
+      const rate = config.finance && config.finance.discountRate;
+      return Number.isFinite(rate) ? rate : 0;
+    },
+
+    /**
+     * Units shipped in each deal year of the commitment (one cohort per year)
+     */
+    cohortUnits(monthlyRate, commitYears) {
+      const years = Math.ceil(this.commitmentYears(monthlyRate, commitYears));
+      const cohorts = [];
+      for (let year = 1; year <= years; year++) {
+        cohorts.push(this.unitsAddedByYear(year, monthlyRate, commitYears) - this.unitsAddedByYear(year - 1, monthlyRate, commitYears));
+      }
+      return cohorts;
+    },
+
+    /**
+     * Year-by-year cash flow across every cohort shipped during the commitment.
+     * A unit shipped in deal year c is in contract year k during deal year c + k - 1.
+     * It pays year1Price then year2Prices[k - 2]. It costs year1Cost then year2CostForYear(k),
+     * so support efficiency follows the unit's age, as in pricing, while labor and
+     * hardware escalation follow the deal year.
+     * Overhead is overheadPerUnitForYear of the deal year (Year 1 scaled by overheadYear1Factor).
+     * NPV discounts each year's profit at the end of that year.
+     */
+    dealCashFlow(monthlyRate, commitYears, contractYears, existingFleetUnits, discountRate) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const rate = Number.isFinite(discountRate) ? discountRate : this.financeDiscountRate();
+      const cohorts = this.cohortUnits(monthlyRate, commitYears);
+      const y1Price = this.year1Price(monthlyRate, commitYears, contractYears, existing);
+      const y2Prices = this.year2Prices(monthlyRate, commitYears, contractYears, existing);
+      const y1OverheadFactor = config.pricing.overheadYear1Factor;
+
+      const horizon = cohorts.length + contractYears - 1;
+      const years = [];
+      let cumulative = 0;
+      let npv = 0;
+      for (let year = 1; year <= horizon; year++) {
+        const overheadPerUnit = this.overheadPerUnitForYear(year, monthlyRate, commitYears, existing);
+        const row = { year, unitsShipped: cohorts[year - 1] || 0, unitsActive: 0, revenue: 0, cost: 0, overhead: 0 };
+        cohorts.forEach((units, idx) => {
+          const age = year - idx;
+          if (age < 1 || age > contractYears) return;
+          row.unitsActive += units;
+          row.revenue += units * (age === 1 ? y1Price : y2Prices[age - 2]);
+          row.cost += units * (age === 1
+            ? this.year1Cost(monthlyRate, commitYears, existing, year)
+            : this.year2CostForYear(age, monthlyRate, commitYears, existing, year));
+          row.overhead += units * overheadPerUnit * (age === 1 ? y1OverheadFactor : 1);
+        });
+        row.profit = row.revenue - row.cost - row.overhead;
+        cumulative += row.profit;
+        row.cumulative = cumulative;
+        row.presentValue = row.profit / Math.pow(1 + rate, year);
+        npv += row.presentValue;
+        years.push(row);
+      }
 
-  /**
-   * Get total discount breakdown for display
-   */
-  getDiscountBreakdown(monthlyRate, commitYears, contractYears, existingFleetUnits) {
-    const totalUnits = this.totalCommitment(monthlyRate, commitYears);
-    const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
-    const volumeDisc = this.volumeDiscount(discountUnits);
-    const overheadY1 = this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * CONFIG.pricing.overheadYear1Factor;
-    const overheadY2 = this.overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
-    return {
-      volume: volumeDisc,
-      volumeY1: volumeDisc * CONFIG.discounts.year1VolumeFactor,
-      contract: this.contractDiscount(contractYears),
-      totalY1: this.year1TotalDiscount(monthlyRate, commitYears, contractYears),
-      totalY2: this.year2TotalDiscount(monthlyRate, commitYears, contractYears),
-      totalUnits: totalUnits,
-      discountUnits: discountUnits,
-      overheadY1: overheadY1,
-      overheadY2: overheadY2,
-      listY1: this.displayListYear1(),
-      listY2: this.displayListYear2(existingFleetUnits),
+      const sum = (key) => years.reduce((total, row) => total + row[key], 0);
+      const payback = years.find((row) => row.cumulative >= 0);
+      return {
+        discountRate: rate,
+        years,
+        totals: { revenue: sum('revenue'), cost: sum('cost'), overhead: sum('overhead'), profit: sum('profit') },
+        npv,
+        irr: this.irr(years.map((row) => row.profit)),
+        paybackYear: payback ? payback.year : null,
+      };
+    },
+
+    /**
+     * Net present value of end-of-year cash flows (first entry is year 1)
+     */
+    npv(flows, rate) {
+      return flows.reduce((total, flow, idx) => total + flow / Math.pow(1 + rate, idx + 1), 0);
+    },
+
+    /**
+     * Internal rate of return by bisection; null when the cash flows never change sign
+     */
+    irr(flows) {
+      if (!flows.some((flow) => flow < 0) || !flows.some((flow) => flow > 0)) return null;
+      let low = -0.99;
+      let high = 10;
+      let npvLow = this.npv(flows, low);
+      if (npvLow * this.npv(flows, high) > 0) return null;
+      for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        const npvMid = this.npv(flows, mid);
+        if (Math.abs(npvMid) < 1e-9) return mid;
+        if (npvLow * npvMid < 0) {
+          high = mid;
+        } else {
+          low = mid;
+          npvLow = npvMid;
+        }
+      }
+      return (low + high) / 2;
+    },
+
+    /**
+     * Get total discount breakdown for display
+     */
+    getDiscountBreakdown(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      const totalUnits = this.totalCommitment(monthlyRate, commitYears);
+      const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
+      const volumeDisc = this.volumeDiscount(discountUnits);
+      const overheadY1 = this.overheadPerUnitForYear(1, monthlyRate, commitYears, existingFleetUnits) * config.pricing.overheadYear1Factor;
+      const overheadY2 = this.overheadBlended(contractYears, monthlyRate, commitYears, existingFleetUnits);
+      return {
+        volume: volumeDisc,
+        volumeY1: volumeDisc * config.discounts.year1VolumeFactor,
+        contract: this.contractDiscount(contractYears),
+        totalY1: this.year1TotalDiscount(monthlyRate, commitYears, contractYears),
+        totalY2: this.year2TotalDiscount(monthlyRate, commitYears, contractYears),
+        totalUnits: totalUnits,
+        discountUnits: discountUnits,
+        overheadY1: overheadY1,
+        overheadY2: overheadY2,
+        ...this.dealListPrices(monthlyRate, commitYears, contractYears, existingFleetUnits),
+      };
+    },
+
+    /**
+     * List prices shown against one deal's prices (the model's display list prices by default)
+     */
+    dealListPrices(monthlyRate, commitYears, contractYears, existingFleetUnits) {
+      return {
+        listY1: this.displayListYear1(),
+        listY2: this.displayListYear2(existingFleetUnits),
+      };
+    },
+
+    // ============================================================
+    // PUBLIC PRICE SHEET
+    // ============================================================
+
+    /**
+     * Volume tier ranges with display labels (e.g. "120-239 units")
+     */
+    volumeTierRanges() {
+      const tiers = this.normalizeVolumeTiers();
+      return tiers.map((tier, idx) => {
+        const next = tiers[idx + 1];
+        const maxUnits = next ? next.minUnits - 1 : null;
+        return {
+          minUnits: tier.minUnits,
+          maxUnits,
+          label: next ? `${tier.minUnits}-${maxUnits} units` : `${tier.minUnits}+ units`,
+          discount: tier.discount,
+          y1Discount: tier.discount * config.discounts.year1VolumeFactor,
+        };
+      });
+    },
+
+    /**
+     * Total contract price at commitment levels around the current commitment
+     * (duration held constant, rate derived from units). Returns [units, price] pairs.
+     * With a ramp, each level scales the same ramp shape.
+     */
+    commitmentCurve(currentCommitment, commitYears, contractYears, existingFleetUnits, ramp) {
+      const minUnits = 120;
+      const maxUnits = Math.max(600, Math.ceil(currentCommitment * 1.5 / 20) * 20);
+      const step = Math.max(20, Math.round((maxUnits - minUnits) / 14 / 10) * 10);
+      const levels = [];
+      for (let units = minUnits; units <= maxUnits; units += step) {
+        levels.push(units);
+      }
+      if (!levels.includes(currentCommitment)) {
+        levels.push(currentCommitment);
+      }
+      levels.sort((a, b) => a - b);
+
+      const years = Math.max(1, commitYears);
+      return levels.map((units) => [
+        units,
+        ramp && currentCommitment > 0
+          ? this.contractPrice(this.scaleRamp(ramp, units / currentCommitment), years, contractYears, existingFleetUnits)
+          : this.contractPrice(units / (years * 12), years, contractYears, existingFleetUnits),
+      ]);
+    },
+
+    /**
+     * Standard contract lengths plus any extra (non-standard) ones, ascending
+     */
+    sheetContractTerms(extraTerms) {
+      const extra = (extraTerms || []).filter((years) => this.isContractTerm(years));
+      return Array.from(new Set(this.contractTerms().concat(extra))).sort((a, b) => a - b);
+    },
+
+    /**
+     * Customer-facing price grid for every rate × duration × contract combination.
+     * Contains prices, discounts and labels only - no costs, overhead or margins.
+     * extraTerms adds non-standard contract lengths to the configured ones.
+     */
+    priceSheet(rates, commitDurations, existingFleetUnits, extraTerms) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const contracts = this.sheetContractTerms(extraTerms);
+      const tiers = this.volumeTierRanges();
+
+      const cells = {};
+      contracts.forEach((contractYears) => {
+        commitDurations.forEach((commitYears) => {
+          rates.forEach((monthlyRate) => {
+            cells[`${monthlyRate}:${commitYears}:${contractYears}`] = this.priceSheetCell(monthlyRate, commitYears, contractYears, existing, tiers);
+          });
+        });
+      });
+
+      return {
+        rates,
+        durations: commitDurations,
+        contracts: contracts.map((years) => ({ years, partNumber: this.partNumber(years), standard: this.isStandardTerm(years) })),
+        listY1: this.displayListYear1(),
+        listY2: this.displayListYear2(existing),
+        tiers,
+        cells,
+      };
+    },
+
+    /**
+     * Example Y2+ price per volume tier (same formula as year2PriceRaw at each tier's discount)
+     */
+    tierYear2Prices(monthlyRate, commitYears, contractYears, existingFleetUnits, tiers) {
+      const y2ListPrice = this.year2ListPrice(monthlyRate, commitYears, contractYears, existingFleetUnits);
+      const contractDisc = this.contractDiscount(contractYears);
+      const license = this.licensePriceYear2();
+      const shiftAddOn = this.year1ShiftPerYear(monthlyRate, commitYears, contractYears);
+      return tiers.map((tier) => {
+        const basePrice = this.roundUp10(y2ListPrice * (1 - this.cappedDiscount(tier.discount + contractDisc)));
+        return this.roundUp10(basePrice + license + shiftAddOn);
+      });
+    },
+
+    /**
+     * One price sheet cell: customer prices, tier examples and the commitment curve
+     */
+    priceSheetCell(monthlyRate, commitYears, contractYears, existingFleetUnits, tiers = this.volumeTierRanges()) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const totalUnits = this.totalCommitment(monthlyRate, commitYears);
+      const discountUnits = this.discountBasisUnits(monthlyRate, commitYears);
+      const year2Price = this.year2Price(monthlyRate, commitYears, contractYears, existing);
+
+      // Example Y2+ price per tier, actual price for the current tier
+      const tierY2Prices = this.tierYear2Prices(monthlyRate, commitYears, contractYears, existing, tiers)
+        .map((price, idx) => {
+          const tier = tiers[idx];
+          const isCurrent = discountUnits >= tier.minUnits && (tier.maxUnits === null || discountUnits <= tier.maxUnits);
+          return isCurrent ? year2Price : price;
+        });
+
+      const ramp = this.isRamp(monthlyRate) ? monthlyRate : undefined;
+      return {
+        totalUnits,
+        discountUnits,
+        volumeDiscount: this.volumeDiscount(discountUnits),
+        nextTier: this.getNextVolumeTier(discountUnits),
+        year1Price: this.year1Price(monthlyRate, commitYears, contractYears, existing),
+        year2Price,
+        year2Prices: this.year2Prices(monthlyRate, commitYears, contractYears, existing),
+        contractPrice: this.contractPrice(monthlyRate, commitYears, contractYears, existing),
+        tierY2Prices,
+        curve: this.commitmentCurve(totalUnits, this.commitmentYears(monthlyRate, commitYears), contractYears, existing, ramp),
+      };
+    },
+
+    /**
+     * Price sheet cells for one ramp schedule, keyed by contract length
+     */
+    rampPriceSheet(ramp, existingFleetUnits, extraTerms) {
+      const existing = this.resolveExistingFleet(existingFleetUnits);
+      const tiers = this.volumeTierRanges();
+      const cells = {};
+      this.sheetContractTerms(extraTerms).forEach((contractYears) => {
+        cells[contractYears] = this.priceSheetCell(ramp, undefined, contractYears, existing, tiers);
+      });
+      return {
+        ramp,
+        commitYears: this.commitmentYears(ramp),
+        averageRate: this.averageMonthlyRate(ramp),
+        cells,
+      };
+    },
+
+    // ============================================================
+    // UTILITIES
+    // ============================================================
+
+    /**
+     * Part number for a per-unit contract length (e.g. FX-SRS-5YR)
+     */
+    partNumber(contractYears) {
+      return `FX-SRS-${contractYears}YR`;
+    },
+
+    roundUp10(value) {
+      return Math.ceil(value / 10) * 10;
+    },
+
+    formatCurrency(value) {
+      return '$' + this.roundUp10(value).toLocaleString();
+    },
+
+    formatPercent(value) {
+      return Math.round(value * 100) + '%';
+    },
+  };
+
+  // Route model-replaceable methods through the active model on every call,
+  // so switching config.model in place takes effect like any other setting
+  PRICING_MODEL_METHODS.forEach((name) => {
+    const base = engine[name];
+    engine[name] = function modelMethod(...args) {
+      const override = this.pricingModel().methods[name];
+      return (override || base).apply(this, args);
     };
-  },
-
-  // ============================================================
-  // UTILITIES
-  // ============================================================
-
-  roundUp10(value) {
-    return Math.ceil(value / 10) * 10;
-  },
+  });
+  return engine;
+}
 
-  formatCurrency(value) {
-    return '$' + this.roundUp10(value).toLocaleString();
-  },
+if (typeof CONFIG === 'undefined' && typeof module !== 'undefined' && module.exports) {
+  global.CONFIG = require('./config.js').CONFIG;
+}
 
-  formatPercent(value) {
-    return Math.round(value * 100) + '%';
-  },
-};
+// Default engine bound to the shared CONFIG (pages deepMerge overrides into it).
+const PRICING = createPricing(CONFIG);
 
 if (typeof module !== 'undefined' && module.exports) {
-  if (typeof CONFIG === 'undefined') {
-    global.CONFIG = require('./config.js');
-  }
-  module.exports = { CONFIG, PRICING };
+  module.exports = {
+    CONFIG,
+    PRICING,
+    createPricing,
+    mergeConfig,
+    diffConfig,
+    validateConfig,
+    getConfigValue,
+    setConfigValue,
+    SENSITIVITY_PARAMETERS,
+    PRICING_MODELS,
+    DEFAULT_PRICING_MODEL,
+    seededRandom,
+    sampleDistribution,
+  };
 }
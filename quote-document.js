@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * Flux Mobile SRS Bridge Pricing - Printable Quote Document
+ *
+ * Renders a self-contained HTML quote with print CSS; "Save as PDF" in the
+ * browser print dialog produces the PDF, so no external service is involved.
+ * Only customer-facing figures are included (no cost, overhead or margin).
+ */
+
+const QUOTE_VALIDITY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDate(ms) {
+  return new Date(ms).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * One line per standard contract length (FX-SRS-*) plus the selected term, which is flagged
+ */
+function quoteLines(pricing, input) {
+  const { commitYears, contractYears, existingFleet } = input;
+  const monthlyRate = input.ramp || input.monthlyRate;
+  return pricing.sheetContractTerms([contractYears])
+    .map((years) => ({
+      years,
+      partNumber: pricing.partNumber(years),
+      year1Price: pricing.year1Price(monthlyRate, commitYears, years, existingFleet),
+      year2Price: years > 1 ? pricing.year2Price(monthlyRate, commitYears, years, existingFleet) : null,
+      year2Prices: pricing.year2Prices(monthlyRate, commitYears, years, existingFleet),
+      contractPrice: pricing.contractPrice(monthlyRate, commitYears, years, existingFleet),
+      selected: years === contractYears,
+    }));
+}
+
+/**
+ * Order rate line, e.g. "12 units/month" or "5 / 12 / 20 units/month (years 1-3)"
+ */
+function rateLabel(input) {
+  const { ramp } = input;
+  if (!ramp) return `${input.monthlyRate} units/month`;
+  if (ramp.yearly) return `${ramp.yearly.join(' / ')} units/month (years 1-${ramp.yearly.length})`;
+  return `Ramp over ${ramp.monthly.length} months, avg ${Math.round(input.monthlyRate * 10) / 10} units/month`;
+}
+
+/**
+ * Render the quote as an HTML document.
+ * options: { pricing, input: { monthlyRate, commitYears, contractYears, existingFleet, ramp?, asOf? },
+ *            customerName?, reference?, issuedAt?, validDays?, hideExistingFleet? }
+ */
+function renderQuoteDocument(options) {
+  const { pricing } = options;
+  const input = { ...options.input, existingFleet: pricing.resolveExistingFleet(options.input.existingFleet, options.input.asOf) };
+  const { commitYears, contractYears, existingFleet } = input;
+  const monthlyRate = input.ramp || input.monthlyRate;
+  const issuedAt = options.issuedAt || Date.now();
+  const validDays = options.validDays || QUOTE_VALIDITY_DAYS;
+  const validUntil = issuedAt + validDays * DAY_MS;
+  const reference = options.reference || `EST-${new Date(issuedAt).toISOString().slice(0, 10).replace(/-/g, '')}`;
+  const customerName = options.customerName ? escapeHtml(options.customerName) : '&mdash;';
+
+  const money = (value) => pricing.formatCurrency(value);
+  const percent = (value) => pricing.formatPercent(value);
+  const totalUnits = pricing.totalCommitment(monthlyRate, commitYears);
+  const lines = quoteLines(pricing, input);
+  const selected = lines.find((line) => line.selected);
+  const others = lines.filter((line) => !line.selected);
+  const discounts = pricing.getDiscountBreakdown(monthlyRate, commitYears, contractYears, existingFleet);
+  const tier = pricing.getVolumeTier(discounts.discountUnits);
+  const tierLabel = Number.isFinite(tier.maxUnits) ? `${tier.minUnits}-${tier.maxUnits} units` : `${tier.minUnits}+ units`;
+  const escalated = selected.year2Prices.some((price) => price !== selected.year2Price);
+  const year2Header = pricing.escalates('price') ? 'Year 2 / unit' : 'Year 2+ / unit / yr';
+  const scheduleRows = [selected.year1Price, ...selected.year2Prices].map((price, idx) => `
+        <tr><td>Year ${idx + 1}</td><td>${money(price)}</td></tr>`).join('');
+
+  const otherRows = others.map((line) => `
+        <tr>
+          <td><code>${line.partNumber}</code></td>
+          <td>${line.years}-Year Contract</td>
+          <td>${money(line.year1Price)}</td>
+          <td>${line.year2Price === null ? '&mdash;' : money(line.year2Price)}</td>
+          <td>${money(line.contractPrice)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Quote ${escapeHtml(reference)} - Mobile SRS Bridge</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    @page { size: letter; margin: 0.6in; }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #1c1c1e;
+      background: #ffffff;
+      line-height: 1.45;
+      font-size: 13px;
+    }
+
+    .page { max-width: 800px; margin: 0 auto; padding: 2rem 1.5rem; }
+
+    .doc-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 1rem; border-bottom: 3px solid #e84200; padding-bottom: 1rem; }
+    .doc-header .brand { display: flex; align-items: center; gap: 0.75rem; }
+    .doc-header .logo { height: 40px; width: auto; }
+    .doc-header h1 { font-size: 1.3rem; font-weight: 600; }
+    .doc-header .meta { text-align: right; font-size: 0.8rem; color: #555; }
+    .doc-header .meta strong { color: #1c1c1e; }
+
+    h2 { font-size: 0.95rem; margin: 1.5rem 0 0.5rem; color: #e84200; text-transform: uppercase; letter-spacing: 0.03em; }
+
+    .details { display: grid; grid-template-columns: 1fr 1fr; gap: 0.35rem 2rem; margin-top: 1rem; }
+    .details div { display: flex; justify-content: space-between; border-bottom: 1px solid #eee; padding: 0.2rem 0; }
+    .details span:first-child { color: #555; }
+
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 0.4rem 0.5rem; border-bottom: 1px solid #ddd; text-align: right; }
+    th { font-size: 0.75rem; color: #555; font-weight: 600; border-bottom: 2px solid #1c1c1e; }
+    th:first-child, td:first-child, th:nth-child(2), td:nth-child(2) { text-align: left; }
+    tr.total td { font-weight: 600; border-bottom: none; }
+    code { font-family: 'SF Mono', Menlo, Consolas, monospace; font-size: 0.85em; }
+
+    .breakdown { width: 60%; }
+    .breakdown td:last-child { font-variant-numeric: tabular-nums; }
+
+    ul.terms { margin-left: 1.2rem; font-size: 0.8rem; color: #333; }
+    ul.terms li { margin-bottom: 0.3rem; }
+
+    .signature { display: grid; grid-template-columns: 1fr 1fr; gap: 2rem; margin-top: 2.5rem; font-size: 0.8rem; color: #555; }
+    .signature div { border-top: 1px solid #1c1c1e; padding-top: 0.3rem; }
+
+    .actions { text-align: right; margin-bottom: 1rem; }
+    .actions button {
+      padding: 0.45rem 1rem;
+      border-radius: 6px;
+      border: 1px solid #e84200;
+      background: #e84200;
+      color: #ffffff;
+      font-weight: 600;
+      cursor: pointer;
+    }
+
+    @media print {
+      .page { padding: 0; max-width: none; }
+      .actions { display: none; }
+      table, .signature { page-break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <div class="page">
+    <div class="actions"><button type="button" onclick="window.print()">Print / Save as PDF</button></div>
+
+    <div class="doc-header">
+      <div class="brand">
+        <img src="/logo.png" alt="Flux" class="logo">
+        <h1>Mobile SRS Bridge Quote</h1>
+      </div>
+      <div class="meta">
+        <div>Reference <strong>${escapeHtml(reference)}</strong></div>
+        <div>Issued <strong>${formatDate(issuedAt)}</strong></div>
+        <div>Valid until <strong>${formatDate(validUntil)}</strong></div>
+      </div>
+    </div>
+
+    <div class="details">
+      <div><span>Prepared for</span><strong>${customerName}</strong></div>
+      <div><span>Contract term</span><strong>${contractYears} years per unit</strong></div>
+      <div><span>Order rate</span><strong>${escapeHtml(rateLabel(input))}</strong></div>
+      <div><span>Commitment</span><strong>${totalUnits.toLocaleString()} units over ${commitYears} ${commitYears === 1 ? 'year' : 'years'}</strong></div>
+      ${existingFleet > 0 && !options.hideExistingFleet ? `<div><span>Existing fleet</span><strong>${existingFleet.toLocaleString()} units</strong></div>` : ''}
+    </div>
+
+    <h2>Pricing</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Part Number</th>
+          <th>Description</th>
+          <th>Qty</th>
+          <th>Year 1 / unit</th>
+          <th>${year2Header}</th>
+          <th>Contract / unit</th>
+          <th>Extended</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td><code>${selected.partNumber}</code></td>
+          <td>Mobile SRS Bridge, ${selected.years}-Year Contract</td>
+          <td>${totalUnits.toLocaleString()}</td>
+          <td>${money(selected.year1Price)}</td>
+          <td>${selected.year2Price === null ? '&mdash;' : money(selected.year2Price)}</td>
+          <td>${money(selected.contractPrice)}</td>
+          <td>${money(selected.contractPrice * totalUnits)}</td>
+        </tr>
+        <tr class="total">
+          <td colspan="6">Total committed value</td>
+          <td>${money(selected.contractPrice * totalUnits)}</td>
+        </tr>
+      </tbody>
+    </table>
+${escalated ? `
+    <h2>Annual Price Schedule</h2>
+    <table class="breakdown">
+      <tbody>${scheduleRows}
+        <tr class="total"><td>Contract / unit</td><td>${money(selected.contractPrice)}</td></tr>
+      </tbody>
+    </table>
+` : ''}
+    <h2>Discount Breakdown</h2>
+    <table class="breakdown">
+      <tbody>
+        <tr><td>List price, Year 1</td><td>${money(discounts.listY1)}</td></tr>
+        <tr><td>List price, Year 2+ (per year)</td><td>${money(discounts.listY2)}</td></tr>
+        <tr><td>Volume discount (${tierLabel}), Year 1</td><td>${percent(discounts.volumeY1)}</td></tr>
+        <tr><td>Volume discount (${tierLabel}), Year 2+</td><td>${percent(discounts.volume)}</td></tr>
+        <tr><td>Contract length discount (${contractYears}-year), Year 2+</td><td>${percent(discounts.contract)}</td></tr>
+        <tr class="total"><td>Total discount, Year 1 / Year 2+</td><td>${percent(discounts.totalY1)} / ${percent(discounts.totalY2)}</td></tr>
+      </tbody>
+    </table>
+${others.length ? `
+    <h2>Other Contract Lengths</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Part Number</th>
+          <th>Description</th>
+          <th>Year 1 / unit</th>
+          <th>${year2Header}</th>
+          <th>Contract / unit</th>
+        </tr>
+      </thead>
+      <tbody>${otherRows}
+      </tbody>
+    </table>
+` : ''}
+    <h2>Terms</h2>
+    <ul class="terms">
+      <li>Prices are per unit in US dollars, excluding applicable taxes. This quote is valid until ${formatDate(validUntil)}.</li>
+      <li>Year 1 is invoiced when each unit is deployed. Year 2+ is invoiced annually per unit for the rest of its ${contractYears}-year contract${escalated ? ', at the price for that contract year in the schedule above' : ''}.</li>
+      <li>Pricing is locked while you keep your ${input.ramp ? 'scheduled ' : ''}monthly order rate (averaged over the last 3 calendar months) and have not yet reached your ${totalUnits.toLocaleString()} committed units.</li>
+      <li>Extra units ordered in any month get the same locked price. Once the commitment is fulfilled, renewal terms are agreed separately.</li>
+      <li>Units under this commitment keep the pricing above for their contract term.</li>
+    </ul>
+
+    <div class="signature">
+      <div>Accepted for customer (name, signature, date)</div>
+      <div>Flux (name, signature, date)</div>
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  QUOTE_VALIDITY_DAYS,
+  quoteLines,
+  renderQuoteDocument,
+};
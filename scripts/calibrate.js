@@ -1,8 +1,10 @@
 #!/usr/bin/env node
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
-const { CONFIG, PRICING } = require(path.join(__dirname, '..', 'pricing.js'));
+const { CONFIG, PRICING, mergeConfig } = require(path.join(__dirname, '..', 'pricing.js'));
+const calibration = require(path.join(__dirname, '..', 'calibration.js'));
 
 function parseList(value, fallback) {
   if (!value) return fallback;
@@ -20,6 +22,13 @@ const opts = {
   durations: [1, 3, 5, 10],
   contract: 10,
   existing: CONFIG.fleet.existingUnits || 0,
+  fit: false,
+  targets: null,
+  params: [],
+  config: null,
+  maxEvals: null,
+  out: null,
+  name: 'Calibrated',
 };
 
 for (let i = 0; i < args.length; i++) {
@@ -28,6 +37,18 @@ for (let i = 0; i < args.length; i++) {
   if (arg === '--durations') opts.durations = parseList(args[i + 1], opts.durations);
   if (arg === '--contract') opts.contract = parseNumber(args[i + 1], opts.contract);
   if (arg === '--existing') opts.existing = parseNumber(args[i + 1], opts.existing);
+  if (arg === '--fit') opts.fit = true;
+  if (arg === '--targets') opts.targets = args[i + 1];
+  if (arg === '--param') opts.params.push(args[i + 1]);
+  if (arg === '--config') opts.config = args[i + 1];
+  if (arg === '--max-evals') opts.maxEvals = parseNumber(args[i + 1], null);
+  if (arg === '--out') opts.out = args[i + 1];
+  if (arg === '--name') opts.name = args[i + 1] || opts.name;
+}
+
+if (opts.fit) {
+  runFit();
+  process.exit(process.exitCode || 0);
 }
 
 function fmtCurrency(value) {
@@ -81,3 +102,70 @@ opts.rates.forEach(rate => {
 console.log('');
 const fullCommitDiscount = PRICING.contractDiscount(opts.contract);
 console.log('Contract discount (' + opts.contract + 'yr):', pct(fullCommitDiscount));
+
+// ============================================================
+// FIT MODE (--fit)
+// ============================================================
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+// --param path:min:max, e.g. scaleEfficiency.scaleSlope:0.1:0.8
+function parseParam(spec) {
+  const [paramPath, min, max] = String(spec || '').split(':');
+  return { path: paramPath, min: Number(min), max: Number(max) };
+}
+
+function runFit() {
+  // --config takes a saved config or scenario export ({ config }) as the starting point
+  let base = CONFIG;
+  if (opts.config) {
+    const loaded = readJson(opts.config);
+    base = mergeConfig(CONFIG, loaded.config || loaded);
+  }
+  const result = calibration.calibrate(base, {
+    targets: opts.targets ? readJson(opts.targets) : undefined,
+    parameters: opts.params.length ? opts.params.map(parseParam) : undefined,
+    maxEvaluations: opts.maxEvals === null ? undefined : opts.maxEvals,
+  });
+  if (result.errors.length) {
+    result.errors.forEach((err) => console.error(`${err.field}: ${err.message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const pctError = (value) => (value * 100).toFixed(1) + '%';
+  console.log('Calibration against target contract prices');
+  console.log(`cells=${result.residuals.length} evaluations=${result.evaluations}`);
+  console.log(`before: rmse=${fmtCurrency(result.before.rmse)} mean abs error=${pctError(result.before.meanAbsPercentError)}`);
+  console.log(`after:  rmse=${fmtCurrency(result.after.rmse)} mean abs error=${pctError(result.after.meanAbsPercentError)}`);
+  console.log('');
+  console.log('parameter | min | max | initial | fitted');
+  console.log('----------|-----|-----|---------|-------');
+  result.parameters.forEach((param) => {
+    console.log([param.path, param.min, param.max, param.initial, param.value].join(' | '));
+  });
+  console.log('');
+  console.log('part number | rate/mo | commitYrs | tier       | target | price | residual');
+  console.log('------------|---------|-----------|------------|--------|-------|---------');
+  result.residuals.forEach((row) => {
+    console.log([
+      row.partNumber.padEnd(11),
+      String(row.monthlyRate).padStart(7),
+      String(row.commitYears).padStart(9),
+      String(row.tier || '-').padEnd(10),
+      fmtCurrency(row.target).padStart(6),
+      fmtCurrency(row.price).padStart(5),
+      `${row.error >= 0 ? '+' : '-'}${fmtCurrency(Math.abs(row.error))} (${pctError(row.relativeError)})`,
+    ].join(' | '));
+  });
+  result.configErrors.forEach((err) => console.error(`warning: fitted ${err.field} ${err.message}`));
+
+  // Same body as POST /api/scenarios
+  if (opts.out) {
+    fs.writeFileSync(path.resolve(opts.out), JSON.stringify({ name: opts.name, config: result.config }, null, 2) + '\n');
+    console.log('');
+    console.log(`Scenario written to ${opts.out} (POST it to /api/scenarios to save it)`);
+  }
+}
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+'use strict';
+
+// Print an SRS_USERS entry ("name:role:hash") for a new user.
+// Usage: node scripts/hash-password.js <username> <viewer|editor>
+// The password is read from stdin so it stays out of shell history.
+
+const path = require('path');
+const readline = require('readline');
+const { ROLES, hashPassword } = require(path.join(__dirname, '..', 'auth.js'));
+
+const [username, role] = process.argv.slice(2);
+
+if (!username || !ROLES.includes(role) || /[:,]/.test(username)) {
+  console.error(`Usage: node scripts/hash-password.js <username> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+rl.question('Password: ', (password) => {
+  rl.close();
+  if (!password) {
+    console.error('Password must not be empty');
+    process.exit(1);
+  }
+  console.log(`${username}:${role}:${hashPassword(password)}`);
+});
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 const path = require('path');
-const CONFIG = require(path.join(__dirname, '..', 'config.js'));
+const { CONFIG } = require(path.join(__dirname, '..', 'config.js'));
 if (typeof global !== 'undefined') {
   global.CONFIG = CONFIG;
 }
@@ -1,8 +1,23 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const express = require('express');
+const {
+  CONFIG: DEFAULT_CONFIG,
+  PRICING_MODELS,
+  createPricing,
+  mergeConfig,
+  diffConfig,
+  validateConfig,
+} = require('./pricing.js');
+const { CONFIG_SCHEMA } = require('./config.js');
+const auth = require('./auth.js');
+const quoteDocument = require('./quote-document.js');
+const spreadsheet = require('./spreadsheet.js');
+const calibration = require('./calibration.js');
+const installedBase = require('./installed-base.js');
 let Database;
 try {
   Database = require('better-sqlite3');
@@ -11,10 +26,61 @@ try {
 }
 
 const app = express();
+app.set('trust proxy', 1);
 
 const PORT = process.env.PORT || 3000;
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'srs.db');
 const STATE_PATH = process.env.STATE_PATH || path.join(path.dirname(DB_PATH), 'state.json');
+const API_TOKEN = process.env.API_TOKEN || '';
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || quoteDocument.QUOTE_VALIDITY_DAYS;
+const USERS = auth.parseUsers(process.env.SRS_USERS);
+const sessions = auth.createSessionStore();
+const DUMMY_HASH = auth.hashPassword(crypto.randomBytes(16).toString('hex'));
+
+if (!USERS.size && process.env.LOCK_PASSWORD) {
+  console.warn('SRS_USERS not set; LOCK_PASSWORD grants editor access as "admin". Configure SRS_USERS instead.');
+  USERS.set('admin', { username: 'admin', role: 'editor', hash: auth.hashPassword(process.env.LOCK_PASSWORD) });
+}
+if (!USERS.size) {
+  console.warn('No users configured (SRS_USERS); the margins page and config writes are unavailable.');
+}
+
+// Slider ranges offered by the public calculator
+const PRICE_SHEET_RATES = [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25];
+const PRICE_SHEET_DURATIONS = [1, 2, 3, 4, 5];
+const RAMP_MAX_YEARS = 10;
+const EVENT_HEARTBEAT_MS = 25000;
+const PRICE_GRID_MAX_CELLS = 5000;
+const PRICE_SHEET_CACHE_SIZE = 50;
+const PRICE_GRID_COLUMNS = [
+  { key: 'partNumber', label: 'Part Number' },
+  { key: 'monthlyRate', label: 'Rate (units/mo)', format: 'integer' },
+  { key: 'commitYears', label: 'Commit (years)' },
+  { key: 'contractYears', label: 'Contract (years)', format: 'integer' },
+  { key: 'existingFleet', label: 'Existing Fleet', format: 'integer' },
+  { key: 'totalUnits', label: 'Total Units', format: 'integer' },
+  { key: 'discountUnits', label: 'Discount Basis Units', format: 'integer' },
+  { key: 'year1Price', label: 'Year 1 Price', format: 'currency' },
+  { key: 'year2Price', label: 'Year 2+ Price', format: 'currency' },
+  { key: 'finalYearPrice', label: 'Final Year Price', format: 'currency' },
+  { key: 'contractPrice', label: 'Contract Price', format: 'currency' },
+  { key: 'volumeDiscountY1', label: 'Volume Discount Y1', format: 'percent' },
+  { key: 'volumeDiscount', label: 'Volume Discount Y2+', format: 'percent' },
+  { key: 'contractDiscount', label: 'Contract Discount', format: 'percent' },
+  { key: 'totalDiscountY1', label: 'Total Discount Y1', format: 'percent' },
+  { key: 'totalDiscountY2', label: 'Total Discount Y2+', format: 'percent' },
+  { key: 'year1Cost', label: 'Year 1 Cost', format: 'currency' },
+  { key: 'year2Cost', label: 'Year 2+ Cost (avg)', format: 'currency' },
+  { key: 'overheadY1', label: 'Overhead Y1', format: 'currency' },
+  { key: 'overheadY2', label: 'Overhead Y2+ (avg)', format: 'currency' },
+  { key: 'year1Margin', label: 'Year 1 Margin', format: 'percent' },
+  { key: 'year2Margin', label: 'Year 2+ Margin', format: 'percent' },
+  { key: 'year2MarginWithOverhead', label: 'Year 2+ Margin w/ Overhead', format: 'percent' },
+  { key: 'contractMargin', label: 'Contract Margin', format: 'percent' },
+  { key: 'guardrails', label: 'Guardrail Warnings' },
+];
+const eventClients = new Set();
+const priceSheetCache = new Map();
 
 const dataDir = path.dirname(DB_PATH);
 fs.mkdirSync(dataDir, { recursive: true });
@@ -22,6 +88,23 @@ fs.mkdirSync(dataDir, { recursive: true });
 let db = null;
 let getSettingStmt = null;
 let setSettingStmt = null;
+let insertVersionStmt = null;
+let listVersionsStmt = null;
+let getVersionStmt = null;
+let latestVersionStmt = null;
+let listScenariosStmt = null;
+let getScenarioStmt = null;
+let insertScenarioStmt = null;
+let updateScenarioStmt = null;
+let deleteScenarioStmt = null;
+let insertQuoteStmt = null;
+let listQuotesStmt = null;
+let getQuoteStmt = null;
+let listUnitsStmt = null;
+let countUnitsStmt = null;
+let countActiveUnitsStmt = null;
+let upsertUnitStmt = null;
+let deleteUnitStmt = null;
 let useFileStore = false;
 
 function readStateFile() {
@@ -51,9 +134,70 @@ function initSqlite() {
         value TEXT NOT NULL,
         updatedAt INTEGER NOT NULL
       );
+      CREATE TABLE IF NOT EXISTS config_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        value TEXT NOT NULL,
+        author TEXT,
+        note TEXT,
+        restoredFrom INTEGER,
+        createdAt INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS scenarios (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        value TEXT NOT NULL,
+        author TEXT,
+        createdAt INTEGER NOT NULL,
+        updatedAt INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS quotes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        customerName TEXT NOT NULL,
+        monthlyRate REAL NOT NULL,
+        commitYears REAL NOT NULL,
+        contractYears INTEGER NOT NULL,
+        existingFleet REAL,
+        result TEXT NOT NULL,
+        config TEXT NOT NULL,
+        configVersion INTEGER,
+        author TEXT,
+        createdAt INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS installed_units (
+        serial TEXT PRIMARY KEY,
+        customer TEXT NOT NULL,
+        installDate TEXT NOT NULL,
+        partNumber TEXT NOT NULL,
+        termEnd TEXT NOT NULL,
+        annualPrice REAL,
+        updatedAt INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS installed_units_term ON installed_units (termEnd);
     `);
     getSettingStmt = db.prepare('SELECT value FROM settings WHERE key = ?');
     setSettingStmt = db.prepare('INSERT INTO settings (key, value, updatedAt) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt');
+    insertVersionStmt = db.prepare('INSERT INTO config_versions (value, author, note, restoredFrom, createdAt) VALUES (?, ?, ?, ?, ?)');
+    listVersionsStmt = db.prepare('SELECT id, author, note, restoredFrom, createdAt FROM config_versions ORDER BY id DESC LIMIT ?');
+    getVersionStmt = db.prepare('SELECT id, value, author, note, restoredFrom, createdAt FROM config_versions WHERE id = ?');
+    latestVersionStmt = db.prepare('SELECT id, value, author, note, restoredFrom, createdAt FROM config_versions ORDER BY id DESC LIMIT 1');
+    listScenariosStmt = db.prepare('SELECT id, name, author, createdAt, updatedAt FROM scenarios ORDER BY name COLLATE NOCASE');
+    getScenarioStmt = db.prepare('SELECT id, name, value, author, createdAt, updatedAt FROM scenarios WHERE id = ?');
+    insertScenarioStmt = db.prepare('INSERT INTO scenarios (name, value, author, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?)');
+    updateScenarioStmt = db.prepare('UPDATE scenarios SET name = ?, value = ?, author = ?, updatedAt = ? WHERE id = ?');
+    deleteScenarioStmt = db.prepare('DELETE FROM scenarios WHERE id = ?');
+    insertQuoteStmt = db.prepare(`INSERT INTO quotes
+      (customerName, monthlyRate, commitYears, contractYears, existingFleet, result, config, configVersion, author, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    listQuotesStmt = db.prepare('SELECT * FROM quotes ORDER BY id DESC LIMIT ?');
+    getQuoteStmt = db.prepare('SELECT * FROM quotes WHERE id = ?');
+    listUnitsStmt = db.prepare('SELECT serial, customer, installDate, partNumber, termEnd, annualPrice FROM installed_units ORDER BY installDate, serial');
+    countUnitsStmt = db.prepare('SELECT COUNT(*) AS count FROM installed_units');
+    countActiveUnitsStmt = db.prepare('SELECT COUNT(*) AS count FROM installed_units WHERE installDate <= ? AND termEnd >= ?');
+    upsertUnitStmt = db.prepare(`INSERT INTO installed_units (serial, customer, installDate, partNumber, termEnd, annualPrice, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(serial) DO UPDATE SET customer = excluded.customer, installDate = excluded.installDate,
+        partNumber = excluded.partNumber, termEnd = excluded.termEnd, annualPrice = excluded.annualPrice, updatedAt = excluded.updatedAt`);
+    deleteUnitStmt = db.prepare('DELETE FROM installed_units WHERE serial = ?');
     return true;
   } catch (err) {
     console.warn('SQLite unavailable, falling back to JSON file storage.', err.message);
@@ -89,62 +233,1274 @@ function setSetting(key, value) {
   setSettingStmt.run(key, json, Date.now());
 }
 
+function versionSummary(row) {
+  return {
+    id: row.id,
+    author: row.author || null,
+    note: row.note || null,
+    restoredFrom: row.restoredFrom || null,
+    createdAt: row.createdAt,
+  };
+}
+
+function listConfigVersions(limit) {
+  if (useFileStore) {
+    const versions = readStateFile().configVersions || [];
+    return versions.slice(-limit).reverse().map(versionSummary);
+  }
+  return listVersionsStmt.all(limit).map(versionSummary);
+}
+
+function getConfigVersion(id) {
+  if (useFileStore) {
+    const versions = readStateFile().configVersions || [];
+    const version = versions.find((entry) => entry.id === id);
+    return version ? { ...versionSummary(version), config: version.value } : null;
+  }
+  const row = getVersionStmt.get(id);
+  if (!row) return null;
+  return { ...versionSummary(row), config: JSON.parse(row.value) };
+}
+
+/**
+ * Store a config as the live config and append it to the version history.
+ * Saving a config identical to the latest version doesn't add a new version.
+ */
+function saveConfigVersion(config, meta) {
+  priceSheetCache.clear();
+  const value = config || {};
+  const json = JSON.stringify(value);
+  const entry = {
+    author: meta.author || null,
+    note: meta.note || null,
+    restoredFrom: meta.restoredFrom || null,
+    createdAt: Date.now(),
+  };
+
+  if (useFileStore) {
+    const state = readStateFile();
+    const versions = state.configVersions || [];
+    const latest = versions[versions.length - 1];
+    state.config = value;
+    if (latest && JSON.stringify(latest.value) === json && !entry.note && !entry.restoredFrom) {
+      writeStateFile(state);
+      return versionSummary(latest);
+    }
+    const version = { id: latest ? latest.id + 1 : 1, value, ...entry };
+    state.configVersions = versions.concat([version]);
+    writeStateFile(state);
+    return versionSummary(version);
+  }
+
+  return db.transaction(() => {
+    setSettingStmt.run('config', json, entry.createdAt);
+    const latest = latestVersionStmt.get();
+    if (latest && latest.value === json && !entry.note && !entry.restoredFrom) {
+      return versionSummary(latest);
+    }
+    const info = insertVersionStmt.run(json, entry.author, entry.note, entry.restoredFrom, entry.createdAt);
+    return versionSummary({ id: Number(info.lastInsertRowid), ...entry });
+  })();
+}
+
+// ============================================================
+// SCENARIOS (named config overrides; one can be published as the live config)
+// ============================================================
+
+function scenarioSummary(row) {
+  const published = getSetting('publishedScenario', null);
+  return {
+    id: row.id,
+    name: row.name,
+    author: row.author || null,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+    // Published until the live config moves on to another version
+    published: !!published && published.id === row.id && published.versionId === liveConfigVersionId(),
+  };
+}
+
+function listScenarios() {
+  if (useFileStore) {
+    const scenarios = readStateFile().scenarios || [];
+    return scenarios
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+      .map(scenarioSummary);
+  }
+  return listScenariosStmt.all().map(scenarioSummary);
+}
+
+function getScenario(id) {
+  if (useFileStore) {
+    const scenario = (readStateFile().scenarios || []).find((entry) => entry.id === id);
+    return scenario ? { ...scenarioSummary(scenario), config: scenario.value } : null;
+  }
+  const row = getScenarioStmt.get(id);
+  if (!row) return null;
+  return { ...scenarioSummary(row), config: JSON.parse(row.value) };
+}
+
+function scenarioNameTaken(name, exceptId) {
+  const lower = name.toLowerCase();
+  return listScenarios().some((entry) => entry.id !== exceptId && entry.name.toLowerCase() === lower);
+}
+
+/**
+ * Insert (no id) or update a scenario; returns its summary
+ */
+function saveScenario(id, fields) {
+  const now = Date.now();
+  if (useFileStore) {
+    const state = readStateFile();
+    const scenarios = state.scenarios || [];
+    let scenario = scenarios.find((entry) => entry.id === id);
+    if (scenario) {
+      Object.assign(scenario, { name: fields.name, value: fields.config, author: fields.author, updatedAt: now });
+    } else {
+      const nextId = scenarios.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+      scenario = { id: nextId, name: fields.name, value: fields.config, author: fields.author, createdAt: now, updatedAt: now };
+      scenarios.push(scenario);
+    }
+    state.scenarios = scenarios;
+    writeStateFile(state);
+    return scenarioSummary(scenario);
+  }
+  const json = JSON.stringify(fields.config);
+  if (id) {
+    updateScenarioStmt.run(fields.name, json, fields.author, now, id);
+    return scenarioSummary(getScenarioStmt.get(id));
+  }
+  const info = insertScenarioStmt.run(fields.name, json, fields.author, now, now);
+  return scenarioSummary(getScenarioStmt.get(Number(info.lastInsertRowid)));
+}
+
+function deleteScenario(id) {
+  const published = getSetting('publishedScenario', null);
+  if (published && published.id === id) setSetting('publishedScenario', null);
+  if (useFileStore) {
+    const state = readStateFile();
+    state.scenarios = (state.scenarios || []).filter((entry) => entry.id !== id);
+    writeStateFile(state);
+    return;
+  }
+  deleteScenarioStmt.run(id);
+}
+
+/**
+ * Validate a scenario create/update body; returns { errors, name, config }
+ */
+function parseScenarioInput(body, existing) {
+  const input = body || {};
+  const errors = [];
+  const name = input.name === undefined && existing ? existing.name : String(input.name || '').trim();
+  if (!name || name.length > 100) {
+    errors.push({ field: 'name', message: 'must be 1 to 100 characters' });
+  } else if (scenarioNameTaken(name, existing ? existing.id : null)) {
+    errors.push({ field: 'name', message: 'is already used by another scenario' });
+  }
+
+  let config = input.config;
+  if (config === undefined) {
+    config = existing ? existing.config : getSetting('config', {});
+  }
+  errors.push(...configErrors(config, 'config'));
+  return { errors, name, config };
+}
+
+/**
+ * Id of the live config version (0 before the first save); exposed as the config ETag
+ */
+function liveConfigVersionId() {
+  if (useFileStore) {
+    const versions = readStateFile().configVersions || [];
+    return versions.length ? versions[versions.length - 1].id : 0;
+  }
+  const latest = latestVersionStmt.get();
+  return latest ? latest.id : 0;
+}
+
+function configEtag(id) {
+  return `"v${id}"`;
+}
+
+/**
+ * True when the request carries an If-Match that no longer matches the live config.
+ * Requests without If-Match (scripts, older clients) keep last-write-wins.
+ */
+function isStaleWrite(req, liveId) {
+  const header = req.get('if-match');
+  if (!header || header.trim() === '*') return false;
+  return !header.split(',').map((tag) => tag.trim().replace(/^W\//, '')).includes(configEtag(liveId));
+}
+
+function sendConfigConflict(res, liveId) {
+  const live = liveId ? getConfigVersion(liveId) : null;
+  res.set('ETag', configEtag(liveId));
+  res.status(409).json({
+    error: 'Config was changed by someone else',
+    version: live ? versionSummary(live) : null,
+    config: getSetting('config', {}),
+  });
+}
+
+/**
+ * Push a Server-Sent Event to every open /api/events stream
+ */
+function publishEvent(type, data) {
+  const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach((res) => res.write(payload));
+}
+
+/**
+ * Announce a new live config version; X-Client-Id lets the saving page ignore its own event
+ */
+function publishConfigUpdate(req, version, previousId) {
+  if (version.id === previousId) return;
+  publishEvent('config-updated', {
+    version: version.id,
+    source: req.get('x-client-id') || null,
+    ts: Date.now(),
+  });
+}
+
+function changeNote(req) {
+  const note = req.get('x-config-note');
+  return note ? note.trim().slice(0, 500) : null;
+}
+
+/**
+ * Pricing engine for the persisted config (defaults from config.js + saved overrides)
+ */
+function currentPricing() {
+  return createPricing(mergeConfig(DEFAULT_CONFIG, getSetting('config', {})), { registerUnits: countActiveUnits });
+}
+
+/**
+ * Price sheet for the live config version, built once per version, existing fleet and query.
+ * A sheet takes most of a second to build, and every open calculator refetches it on config-updated.
+ */
+function cachedPriceSheet(pricing, query, build) {
+  const key = `${liveConfigVersionId()}|${pricing.resolveExistingFleet()}|${query}`;
+  if (!priceSheetCache.has(key)) {
+    if (priceSheetCache.size >= PRICE_SHEET_CACHE_SIZE) priceSheetCache.delete(priceSheetCache.keys().next().value);
+    priceSheetCache.set(key, build());
+  }
+  return priceSheetCache.get(key);
+}
+
+/**
+ * Field-level errors for a config save (overrides merged onto the defaults must match CONFIG_SCHEMA)
+ */
+function configErrors(overrides, prefix) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return [{ field: prefix || '(root)', message: 'must be an object' }];
+  }
+  return validateConfig(mergeConfig(DEFAULT_CONFIG, overrides), CONFIG_SCHEMA, prefix);
+}
+
+function isAuthorized(req) {
+  if (auth.hasRole(req.user, 'viewer')) return true;
+  if (!API_TOKEN) return false;
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(API_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Ramp schedule from a request: "5,12,20" or [5, 12, 20] (monthly rate per year),
+ * { yearly: [...] } or { monthly: [units per month] }. Returns { ramp, errors }.
+ */
+function parseRamp(value, field = 'ramp') {
+  let ramp = value;
+  if (typeof ramp === 'string') ramp = ramp.split(',').map((part) => part.trim()).filter(Boolean);
+  if (Array.isArray(ramp)) ramp = { yearly: ramp };
+  if (!ramp || typeof ramp !== 'object') {
+    return { errors: [{ field, message: 'must be a list of monthly rates per year' }] };
+  }
+
+  const key = Array.isArray(ramp.monthly) ? 'monthly' : 'yearly';
+  const list = ramp[key];
+  const maxLength = key === 'monthly' ? RAMP_MAX_YEARS * 12 : RAMP_MAX_YEARS;
+  if (!Array.isArray(list) || !list.length || list.length > maxLength) {
+    return { errors: [{ field: `${field}.${key}`, message: `must have 1 to ${maxLength} entries` }] };
+  }
+  const values = list.map(Number);
+  const errors = [];
+  values.forEach((units, idx) => {
+    if (!Number.isFinite(units) || units < 0) {
+      errors.push({ field: `${field}.${key}.${idx}`, message: 'must be a number of 0 or more' });
+    }
+  });
+  if (!errors.length && !values.some((units) => units > 0)) {
+    errors.push({ field: `${field}.${key}`, message: 'must deliver at least one unit' });
+  }
+  return { errors, ramp: errors.length ? undefined : { [key]: values } };
+}
+
+function parseQuoteInput(body, pricing) {
+  const input = body || {};
+  const hasRamp = input.ramp !== undefined && input.ramp !== null && input.ramp !== '';
+  const parsedRamp = hasRamp ? parseRamp(input.ramp) : { errors: [] };
+  const errors = parsedRamp.errors;
+  const { ramp } = parsedRamp;
+  // A ramp sets the rate (its average) and the commitment duration (its length)
+  const monthlyRate = ramp ? pricing.averageMonthlyRate(ramp) : Number(input.monthlyRate);
+  const commitYears = ramp ? pricing.commitmentYears(ramp) : Number(input.commitYears);
+  const contractYears = Number(input.contractYears);
+  const hasFleet = input.existingFleet !== undefined && input.existingFleet !== null && input.existingFleet !== '';
+  const existingFleet = hasFleet ? Number(input.existingFleet) : undefined;
+  const hasModel = input.model !== undefined && input.model !== null && input.model !== '';
+  const model = hasModel ? String(input.model) : undefined;
+  const hasAsOf = input.asOf !== undefined && input.asOf !== null && input.asOf !== '';
+  const asOf = hasAsOf ? installedBase.isoDate(input.asOf) : undefined;
+
+  if (!hasRamp && (!Number.isFinite(monthlyRate) || monthlyRate <= 0)) {
+    errors.push({ field: 'monthlyRate', message: 'must be a number greater than 0' });
+  }
+  if (!hasRamp && (!Number.isFinite(commitYears) || commitYears <= 0)) {
+    errors.push({ field: 'commitYears', message: 'must be a number greater than 0' });
+  }
+  if (!pricing.isContractTerm(contractYears)) {
+    errors.push({ field: 'contractYears', message: `must be a whole number from 1 to ${pricing.maxContractYears()}` });
+  }
+  if (hasFleet && (!Number.isFinite(existingFleet) || existingFleet < 0)) {
+    errors.push({ field: 'existingFleet', message: 'must be a number of 0 or more' });
+  }
+  if (hasModel && !Object.prototype.hasOwnProperty.call(PRICING_MODELS, model)) {
+    errors.push({ field: 'model', message: `must be one of ${Object.keys(PRICING_MODELS).join(', ')}` });
+  }
+  if (hasAsOf && !asOf) {
+    errors.push({ field: 'asOf', message: 'must be a date (YYYY-MM-DD)' });
+  }
+
+  return { errors, monthlyRate, commitYears, contractYears, existingFleet, ramp, model, asOf };
+}
+
+/**
+ * Engine for a parsed quote: the requested pricing model, otherwise the config's own
+ */
+function quotePricing(pricing, input) {
+  return input.model && input.model !== pricing.modelId() ? pricing.withModel(input.model) : pricing;
+}
+
+/**
+ * Parse a list of contract lengths ("2,4,7" or an array); empty means none
+ */
+function parseContractTerms(value, pricing, field = 'contractYears') {
+  const errors = [];
+  if (value === undefined || value === null || value === '') return { errors, terms: [] };
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const terms = entries.map((entry) => Number(String(entry).trim()));
+  terms.forEach((years, idx) => {
+    if (!pricing.isContractTerm(years)) {
+      errors.push({ field: `${field}.${idx}`, message: `must be a whole number from 1 to ${pricing.maxContractYears()}` });
+    }
+  });
+  return { errors, terms: Array.from(new Set(terms)).sort((a, b) => a - b) };
+}
+
+/**
+ * The installed-base register is viewer data: only signed-in or token requests may price on
+ * another date (asOf) or see a register-derived existing fleet echoed back
+ */
+function checkRegisterAccess(req, input) {
+  if (input.asOf !== undefined && !isAuthorized(req)) {
+    input.errors.push({ field: 'asOf', message: 'requires a signed-in user or API token' });
+  }
+  return input;
+}
+
+function registerFleet(pricing, input) {
+  return input.existingFleet === undefined && pricing.config.fleet.source === 'register';
+}
+
+/**
+ * Resolve customer prices (and optionally internal cost/margin fields) for one deal.
+ * A register-derived existing fleet is only reported with the internal fields.
+ */
+function buildQuote(pricing, input, includeInternal) {
+  const { monthlyRate, commitYears, contractYears, ramp } = input;
+  const rate = ramp || monthlyRate;
+  const existingFleet = pricing.resolveExistingFleet(input.existingFleet, input.asOf);
+  const { overheadY1, overheadY2, ...discounts } = pricing.getDiscountBreakdown(rate, commitYears, contractYears, existingFleet);
+  const quote = {
+    partNumber: pricing.partNumber(contractYears),
+    model: pricing.modelId(),
+    monthlyRate,
+    commitYears,
+    contractYears,
+    existingFleet: includeInternal || !registerFleet(pricing, input) ? existingFleet : null,
+    ...(ramp ? { ramp } : {}),
+    year1Price: pricing.year1Price(rate, commitYears, contractYears, existingFleet),
+    year2Price: contractYears > 1 ? pricing.year2Price(rate, commitYears, contractYears, existingFleet) : null,
+    year2Prices: contractYears > 1 ? pricing.year2Prices(rate, commitYears, contractYears, existingFleet) : null,
+    contractPrice: pricing.contractPrice(rate, commitYears, contractYears, existingFleet),
+    discounts,
+  };
+
+  if (includeInternal) {
+    quote.internal = {
+      year1Cost: pricing.year1Cost(rate, commitYears, existingFleet),
+      year2Cost: pricing.year2CostBlended(contractYears, rate, commitYears, existingFleet),
+      overheadY1,
+      overheadY2,
+      year1Margin: pricing.year1Margin(rate, commitYears, contractYears, existingFleet),
+      year2Margin: pricing.year2Margin(rate, commitYears, contractYears, existingFleet),
+      year2MarginWithOverhead: pricing.year2MarginWithOverhead(rate, commitYears, contractYears, existingFleet),
+      contractMargin: pricing.contractMargin(rate, commitYears, contractYears, existingFleet),
+      warnings: pricing.guardrailWarnings(rate, commitYears, contractYears, existingFleet),
+    };
+  }
+
+  return quote;
+}
+
+// ============================================================
+// SAVED QUOTES (inputs, resolved prices and the exact config used)
+// ============================================================
+
+function quoteRecord(row) {
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+  return {
+    id: row.id,
+    customerName: row.customerName,
+    monthlyRate: row.monthlyRate,
+    commitYears: row.commitYears,
+    contractYears: row.contractYears,
+    existingFleet: row.existingFleet === null || row.existingFleet === undefined ? null : row.existingFleet,
+    configVersion: row.configVersion || null,
+    author: row.author || null,
+    createdAt: row.createdAt,
+    result: parse(row.result),
+    config: parse(row.config),
+  };
+}
+
+function quoteSummary(quote) {
+  const { result, config, ...summary } = quote;
+  return { ...summary, ramp: result.ramp, partNumber: result.partNumber, contractPrice: result.contractPrice };
+}
+
+function listQuotes(limit) {
+  if (useFileStore) {
+    const quotes = readStateFile().quotes || [];
+    return quotes.slice(-limit).reverse().map((row) => quoteSummary(quoteRecord(row)));
+  }
+  return listQuotesStmt.all(limit).map((row) => quoteSummary(quoteRecord(row)));
+}
+
+function getQuote(id) {
+  if (useFileStore) {
+    const row = (readStateFile().quotes || []).find((entry) => entry.id === id);
+    return row ? quoteRecord(row) : null;
+  }
+  const row = getQuoteStmt.get(id);
+  return row ? quoteRecord(row) : null;
+}
+
+function insertQuote(fields) {
+  const createdAt = Date.now();
+  const existingFleet = fields.existingFleet === undefined ? null : fields.existingFleet;
+  if (useFileStore) {
+    const state = readStateFile();
+    const quotes = state.quotes || [];
+    const row = {
+      id: quotes.length ? quotes[quotes.length - 1].id + 1 : 1,
+      ...fields,
+      existingFleet,
+      createdAt,
+    };
+    state.quotes = quotes.concat([row]);
+    writeStateFile(state);
+    return quoteRecord(row);
+  }
+  const info = insertQuoteStmt.run(
+    fields.customerName,
+    fields.monthlyRate,
+    fields.commitYears,
+    fields.contractYears,
+    existingFleet,
+    JSON.stringify(fields.result),
+    JSON.stringify(fields.config),
+    fields.configVersion,
+    fields.author,
+    createdAt
+  );
+  return getQuote(Number(info.lastInsertRowid));
+}
+
+/**
+ * Quote inputs in the shape parseQuoteInput/buildQuote expect (null fleet = config default)
+ */
+function quoteInput(quote) {
+  return {
+    monthlyRate: quote.monthlyRate,
+    commitYears: quote.commitYears,
+    contractYears: quote.contractYears,
+    existingFleet: quote.existingFleet === null ? undefined : quote.existingFleet,
+    ramp: quote.result.ramp,
+    model: quote.result.model,
+  };
+}
+
+// ============================================================
+// INSTALLED-BASE REGISTER (deployed units by serial)
+// ============================================================
+
+const UNIT_FIELDS = ['serial', 'customer', 'installDate', 'partNumber', 'termEnd', 'annualPrice'];
+
+function unitRecord(row) {
+  const unit = {};
+  UNIT_FIELDS.forEach((key) => { unit[key] = row[key] === undefined ? null : row[key]; });
+  return unit;
+}
+
+function listInstalledUnits() {
+  if (useFileStore) {
+    return (readStateFile().installedUnits || [])
+      .slice()
+      .sort((a, b) => a.installDate.localeCompare(b.installDate) || a.serial.localeCompare(b.serial))
+      .map(unitRecord);
+  }
+  return listUnitsStmt.all().map(unitRecord);
+}
+
+function countInstalledUnits() {
+  if (useFileStore) return (readStateFile().installedUnits || []).length;
+  return countUnitsStmt.get().count;
+}
+
+/**
+ * Units installed and under contract on a YYYY-MM-DD date
+ */
+function countActiveUnits(date) {
+  if (useFileStore) return installedBase.activeUnits(readStateFile().installedUnits || [], date);
+  return countActiveUnitsStmt.get(date, date).count;
+}
+
+/**
+ * Insert or replace units by serial; returns { created, updated }
+ */
+function importInstalledUnits(units) {
+  const now = Date.now();
+  if (useFileStore) {
+    const state = readStateFile();
+    const bySerial = new Map((state.installedUnits || []).map((unit) => [unit.serial, unit]));
+    const created = units.filter((unit) => !bySerial.has(unit.serial)).length;
+    units.forEach((unit) => bySerial.set(unit.serial, { ...unitRecord(unit), updatedAt: now }));
+    state.installedUnits = Array.from(bySerial.values());
+    writeStateFile(state);
+    return { created, updated: units.length - created };
+  }
+  const before = countUnitsStmt.get().count;
+  db.transaction(() => {
+    units.forEach((unit) => upsertUnitStmt.run(
+      unit.serial, unit.customer, unit.installDate, unit.partNumber, unit.termEnd, unit.annualPrice, now
+    ));
+  })();
+  const created = countUnitsStmt.get().count - before;
+  return { created, updated: units.length - created };
+}
+
+function deleteInstalledUnit(serial) {
+  if (useFileStore) {
+    const state = readStateFile();
+    const units = state.installedUnits || [];
+    state.installedUnits = units.filter((unit) => unit.serial !== serial);
+    writeStateFile(state);
+    return state.installedUnits.length !== units.length;
+  }
+  return deleteUnitStmt.run(serial).changes > 0;
+}
+
+/**
+ * Optional YYYY-MM-DD query / body date; returns { errors, date } (date defaults to today)
+ */
+function parseDateParam(value, field) {
+  if (value === undefined || value === null || value === '') return { errors: [], date: installedBase.isoDate(new Date()) };
+  const date = installedBase.isoDate(value);
+  return date ? { errors: [], date } : { errors: [{ field, message: 'must be a date (YYYY-MM-DD)' }], date: null };
+}
+
+// ============================================================
+// PRICE GRID EXPORT (rate x duration x contract, CSV / XLSX)
+// ============================================================
+
+function integerRange(min, max) {
+  const list = [];
+  for (let value = min; value <= max; value++) list.push(value);
+  return list;
+}
+
+/**
+ * Parse grid bounds from the query (defaults to the public price sheet ranges)
+ */
+function parsePriceGridQuery(query, pricing) {
+  const errors = [];
+  const bound = (key, fallback) => {
+    if (query[key] === undefined || query[key] === '') return fallback;
+    const value = Number(query[key]);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push({ field: key, message: 'must be a whole number of at least 1' });
+      return fallback;
+    }
+    return value;
+  };
+  const rateMin = bound('rateMin', PRICE_SHEET_RATES[0]);
+  const rateMax = bound('rateMax', PRICE_SHEET_RATES[PRICE_SHEET_RATES.length - 1]);
+  const durationMin = bound('durationMin', PRICE_SHEET_DURATIONS[0]);
+  const durationMax = bound('durationMax', PRICE_SHEET_DURATIONS[PRICE_SHEET_DURATIONS.length - 1]);
+  if (rateMax < rateMin) errors.push({ field: 'rateMax', message: 'must be at least rateMin' });
+  if (durationMax < durationMin) errors.push({ field: 'durationMax', message: 'must be at least durationMin' });
+
+  const hasFleet = query.existingFleet !== undefined && query.existingFleet !== '';
+  const existingFleet = hasFleet ? Number(query.existingFleet) : undefined;
+  if (hasFleet && (!Number.isFinite(existingFleet) || existingFleet < 0)) {
+    errors.push({ field: 'existingFleet', message: 'must be a number of 0 or more' });
+  }
+
+  const rates = integerRange(rateMin, rateMax);
+  const durations = integerRange(durationMin, durationMax);
+  const requested = parseContractTerms(query.contracts, pricing, 'contracts');
+  errors.push(...requested.errors);
+  const contracts = requested.terms.length ? requested.terms : pricing.contractTerms();
+  if (!errors.length && rates.length * durations.length * contracts.length > PRICE_GRID_MAX_CELLS) {
+    errors.push({ field: 'rateMax', message: `grid must have at most ${PRICE_GRID_MAX_CELLS} cells` });
+  }
+  return { errors, rates, durations, contracts, existingFleet, perContract: query.sheets === 'contract' };
+}
+
+/**
+ * One flat row per grid cell: prices, discounts, cost, overhead and margins
+ */
+function priceGridRows(pricing, grid) {
+  const rows = [];
+  grid.contracts.forEach((contractYears) => {
+    grid.rates.forEach((monthlyRate) => {
+      grid.durations.forEach((commitYears) => {
+        const quote = buildQuote(pricing, { monthlyRate, commitYears, contractYears, existingFleet: grid.existingFleet }, true);
+        const { warnings, ...internal } = quote.internal;
+        rows.push({
+          partNumber: quote.partNumber,
+          monthlyRate,
+          commitYears,
+          contractYears,
+          existingFleet: quote.existingFleet,
+          totalUnits: quote.discounts.totalUnits,
+          discountUnits: quote.discounts.discountUnits,
+          year1Price: quote.year1Price,
+          year2Price: quote.year2Price,
+          finalYearPrice: quote.year2Prices ? quote.year2Prices[quote.year2Prices.length - 1] : null,
+          contractPrice: quote.contractPrice,
+          volumeDiscountY1: quote.discounts.volumeY1,
+          volumeDiscount: quote.discounts.volume,
+          contractDiscount: quote.discounts.contract,
+          totalDiscountY1: quote.discounts.totalY1,
+          totalDiscountY2: quote.discounts.totalY2,
+          ...internal,
+          guardrails: warnings.map((warning) => `${warning.rule}${warning.clamped ? ' (clamped)' : ''}`).join('; '),
+        });
+      });
+    });
+  });
+  return rows;
+}
+
+function exportFilename(extension) {
+  return `srs-price-grid-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      res.status(401).json({ error: 'Authentication required' });
+      return;
+    }
+    if (!auth.hasRole(req.user, role)) {
+      res.status(403).json({ error: `Requires ${role} role` });
+      return;
+    }
+    next();
+  };
+}
+
+function sessionCookie(req, token, maxAgeSeconds) {
+  const parts = [
+    `${auth.SESSION_COOKIE}=${token}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (req.secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
 app.use(express.json({ limit: '256kb' }));
 
-app.get('/api/state', (req, res) => {
+app.use((req, res, next) => {
+  const cookies = auth.parseCookies(req.headers.cookie);
+  req.sessionToken = cookies[auth.SESSION_COOKIE] || null;
+  req.user = sessions.get(req.sessionToken);
+  next();
+});
+
+app.post('/api/login', (req, res) => {
+  const username = req.body && typeof req.body.username === 'string' ? req.body.username.trim() : '';
+  const password = req.body && typeof req.body.password === 'string' ? req.body.password : '';
+  const user = USERS.get(username);
+  // Hash even for unknown users so response time doesn't reveal valid usernames
+  const valid = auth.verifyPassword(password, user ? user.hash : DUMMY_HASH) && !!user;
+  if (!valid) {
+    res.status(401).json({ error: 'Invalid username or password' });
+    return;
+  }
+  const token = sessions.create(user);
+  res.set('Set-Cookie', sessionCookie(req, token, auth.SESSION_TTL_MS / 1000));
+  res.json({ user: { username: user.username, role: user.role } });
+});
+
+app.post('/api/logout', (req, res) => {
+  if (req.sessionToken) sessions.destroy(req.sessionToken);
+  res.set('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ ok: true });
+});
+
+app.get('/api/session', (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ error: 'Authentication required' });
+    return;
+  }
+  res.json({ user: { username: req.user.username, role: req.user.role } });
+});
+
+app.get('/api/state', requireRole('viewer'), (req, res) => {
   const config = getSetting('config', {});
   const ui = getSetting('ui', {});
+  res.set('ETag', configEtag(liveConfigVersionId()));
   res.json({ config, ui });
 });
 
-app.put('/api/state', (req, res) => {
+app.put('/api/state', requireRole('editor'), (req, res) => {
   const config = req.body && req.body.config ? req.body.config : {};
   const ui = req.body && req.body.ui ? req.body.ui : {};
-  setSetting('config', config);
+  const errors = configErrors(config, 'config');
+  if (typeof ui !== 'object' || Array.isArray(ui)) {
+    errors.push({ field: 'ui', message: 'must be an object' });
+  }
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid config', fields: errors });
+    return;
+  }
+  const liveId = liveConfigVersionId();
+  if (isStaleWrite(req, liveId)) {
+    sendConfigConflict(res, liveId);
+    return;
+  }
+  const version = saveConfigVersion(config, { author: req.user.username, note: changeNote(req) });
   setSetting('ui', ui);
-  res.json({ ok: true });
+  publishConfigUpdate(req, version, liveId);
+  res.set('ETag', configEtag(version.id));
+  res.json({ ok: true, version });
 });
 
-app.get('/api/config', (req, res) => {
+app.get('/api/config', requireRole('viewer'), (req, res) => {
+  res.set('ETag', configEtag(liveConfigVersionId()));
   res.json(getSetting('config', {}));
 });
 
-app.put('/api/config', (req, res) => {
-  setSetting('config', req.body || {});
+app.put('/api/config', requireRole('editor'), (req, res) => {
+  const errors = configErrors(req.body);
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid config', fields: errors });
+    return;
+  }
+  const liveId = liveConfigVersionId();
+  if (isStaleWrite(req, liveId)) {
+    sendConfigConflict(res, liveId);
+    return;
+  }
+  const version = saveConfigVersion(req.body || {}, { author: req.user.username, note: changeNote(req) });
+  publishConfigUpdate(req, version, liveId);
+  res.set('ETag', configEtag(version.id));
+  res.json({ ok: true, version });
+});
+
+app.get('/api/config/versions', requireRole('viewer'), (req, res) => {
+  const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 100));
+  res.json({ versions: listConfigVersions(limit) });
+});
+
+app.get('/api/config/versions/:id', requireRole('viewer'), (req, res) => {
+  const version = getConfigVersion(Number(req.params.id));
+  if (!version) {
+    res.status(404).json({ error: 'Version not found' });
+    return;
+  }
+  res.json(version);
+});
+
+app.get('/api/config/diff', requireRole('viewer'), (req, res) => {
+  const from = getConfigVersion(Number(req.query.from));
+  const to = getConfigVersion(Number(req.query.to));
+  if (!from || !to) {
+    res.status(404).json({ error: 'Version not found' });
+    return;
+  }
+  res.json({ from: from.id, to: to.id, changes: diffConfig(from.config, to.config) });
+});
+
+app.post('/api/config/versions/:id/restore', requireRole('editor'), (req, res) => {
+  const source = getConfigVersion(Number(req.params.id));
+  if (!source) {
+    res.status(404).json({ error: 'Version not found' });
+    return;
+  }
+  const note = req.body && typeof req.body.note === 'string' && req.body.note.trim()
+    ? req.body.note.trim().slice(0, 500)
+    : `Restored version ${source.id}`;
+  const errors = configErrors(source.config);
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid config', fields: errors });
+    return;
+  }
+  const liveId = liveConfigVersionId();
+  if (isStaleWrite(req, liveId)) {
+    sendConfigConflict(res, liveId);
+    return;
+  }
+  const version = saveConfigVersion(source.config, { author: req.user.username, note, restoredFrom: source.id });
+  publishConfigUpdate(req, version, liveId);
+  res.set('ETag', configEtag(version.id));
+  res.json({ ok: true, version, config: source.config });
+});
+
+app.get('/api/scenarios', requireRole('viewer'), (req, res) => {
+  res.json({ scenarios: listScenarios() });
+});
+
+app.get('/api/scenarios/:id', requireRole('viewer'), (req, res) => {
+  const scenario = getScenario(Number(req.params.id));
+  if (!scenario) {
+    res.status(404).json({ error: 'Scenario not found' });
+    return;
+  }
+  res.json(scenario);
+});
+
+app.post('/api/scenarios', requireRole('editor'), (req, res) => {
+  const input = parseScenarioInput(req.body, null);
+  if (input.errors.length) {
+    res.status(400).json({ error: 'Invalid scenario', fields: input.errors });
+    return;
+  }
+  const scenario = saveScenario(null, { name: input.name, config: input.config, author: req.user.username });
+  res.status(201).json(scenario);
+});
+
+app.put('/api/scenarios/:id', requireRole('editor'), (req, res) => {
+  const existing = getScenario(Number(req.params.id));
+  if (!existing) {
+    res.status(404).json({ error: 'Scenario not found' });
+    return;
+  }
+  const input = parseScenarioInput(req.body, existing);
+  if (input.errors.length) {
+    res.status(400).json({ error: 'Invalid scenario', fields: input.errors });
+    return;
+  }
+  res.json(saveScenario(existing.id, { name: input.name, config: input.config, author: req.user.username }));
+});
+
+app.delete('/api/scenarios/:id', requireRole('editor'), (req, res) => {
+  const existing = getScenario(Number(req.params.id));
+  if (!existing) {
+    res.status(404).json({ error: 'Scenario not found' });
+    return;
+  }
+  deleteScenario(existing.id);
   res.json({ ok: true });
 });
 
-app.get('/api/ui', (req, res) => {
+// Fits free config parameters to a target price table starting from the live config;
+// `scenario` saves the fitted config as a new scenario with that name
+app.post('/api/calibrate', requireRole('editor'), (req, res) => {
+  const body = req.body || {};
+  const result = calibration.calibrate(currentPricing().config, {
+    targets: body.targets,
+    parameters: body.parameters,
+    maxEvaluations: body.maxEvaluations,
+  });
+  const { errors, ...fit } = result;
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid calibration request', fields: errors });
+    return;
+  }
+  if (body.scenario === undefined) {
+    res.json(fit);
+    return;
+  }
+  const input = parseScenarioInput({ name: body.scenario, config: fit.config }, null);
+  if (input.errors.length) {
+    res.status(400).json({ error: 'Invalid scenario', fields: input.errors });
+    return;
+  }
+  const scenario = saveScenario(null, { name: input.name, config: input.config, author: req.user.username });
+  res.status(201).json({ ...fit, scenario });
+});
+
+// Publishing makes the scenario the live config (a new config version) and marks it as published
+app.post('/api/scenarios/:id/publish', requireRole('editor'), (req, res) => {
+  const scenario = getScenario(Number(req.params.id));
+  if (!scenario) {
+    res.status(404).json({ error: 'Scenario not found' });
+    return;
+  }
+  const errors = configErrors(scenario.config);
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid config', fields: errors });
+    return;
+  }
+  const liveId = liveConfigVersionId();
+  if (isStaleWrite(req, liveId)) {
+    sendConfigConflict(res, liveId);
+    return;
+  }
+  const version = saveConfigVersion(scenario.config, {
+    author: req.user.username,
+    note: `Published scenario "${scenario.name}"`,
+  });
+  setSetting('publishedScenario', { id: scenario.id, versionId: version.id, publishedAt: Date.now() });
+  publishConfigUpdate(req, version, liveId);
+  res.set('ETag', configEtag(version.id));
+  res.json({ ok: true, version, scenario: { ...scenarioSummary(scenario), published: true }, config: scenario.config });
+});
+
+app.get('/api/ui', requireRole('viewer'), (req, res) => {
   res.json(getSetting('ui', {}));
 });
 
-app.put('/api/ui', (req, res) => {
+app.put('/api/ui', requireRole('editor'), (req, res) => {
   setSetting('ui', req.body || {});
   res.json({ ok: true });
 });
 
-app.get('/api/health', (req, res) => {
+app.post('/api/quote', (req, res) => {
+  const pricing = currentPricing();
+  const input = checkRegisterAccess(req, parseQuoteInput(req.body, pricing));
+  if (input.errors.length) {
+    res.status(400).json({ error: 'Invalid quote request', fields: input.errors });
+    return;
+  }
+  res.json(buildQuote(quotePricing(pricing, input), input, isAuthorized(req)));
+});
+
+// Smallest commitment reaching a target contract price; signed-in users also get the Y2+ margin concession
+app.post('/api/goal-seek', (req, res) => {
+  const live = currentPricing();
+  const input = checkRegisterAccess(req, parseQuoteInput(req.body, live));
+  const targetPrice = Number(req.body && req.body.targetPrice);
+  if (input.ramp) {
+    input.errors.push({ field: 'ramp', message: 'is not supported; use monthlyRate and commitYears' });
+  }
+  if (!Number.isFinite(targetPrice) || targetPrice <= 0) {
+    input.errors.unshift({ field: 'targetPrice', message: 'must be a number greater than 0' });
+  }
+  if (input.errors.length) {
+    res.status(400).json({ error: 'Invalid goal seek request', fields: input.errors });
+    return;
+  }
+  const pricing = quotePricing(live, input);
+  const { monthlyRate, commitYears, contractYears } = input;
+  const existingFleet = pricing.resolveExistingFleet(input.existingFleet, input.asOf);
+  res.json({
+    partNumber: pricing.partNumber(contractYears),
+    model: pricing.modelId(),
+    monthlyRate,
+    commitYears,
+    contractYears,
+    ...pricing.goalSeek(targetPrice, monthlyRate, commitYears, contractYears, existingFleet, { internal: isAuthorized(req) }),
+  });
+});
+
+app.get('/api/quotes', requireRole('viewer'), (req, res) => {
+  const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 100));
+  res.json({ quotes: listQuotes(limit) });
+});
+
+app.post('/api/quotes', requireRole('viewer'), (req, res) => {
+  const live = currentPricing();
+  const input = parseQuoteInput(req.body, live);
+  const customerName = String((req.body && req.body.customerName) || '').trim();
+  if (!customerName || customerName.length > 200) {
+    input.errors.unshift({ field: 'customerName', message: 'must be 1 to 200 characters' });
+  }
+  if (input.errors.length) {
+    res.status(400).json({ error: 'Invalid quote request', fields: input.errors });
+    return;
+  }
+  const pricing = quotePricing(live, input);
+  const result = buildQuote(pricing, input, true);
+  // A register-derived fleet is stored as a number so the quote does not move as units renew
+  const quote = insertQuote({
+    customerName,
+    monthlyRate: input.monthlyRate,
+    commitYears: input.commitYears,
+    contractYears: input.contractYears,
+    existingFleet: registerFleet(pricing, input) ? result.existingFleet : input.existingFleet,
+    result,
+    config: pricing.config,
+    configVersion: liveConfigVersionId() || null,
+    author: req.user.username,
+  });
+  res.status(201).json(quote);
+});
+
+app.get('/api/quotes/:id', requireRole('viewer'), (req, res) => {
+  const quote = getQuote(Number(req.params.id));
+  if (!quote) {
+    res.status(404).json({ error: 'Quote not found' });
+    return;
+  }
+  res.json(quote);
+});
+
+// Price the same inputs against the current config and list what moved
+app.get('/api/quotes/:id/reprice', requireRole('viewer'), (req, res) => {
+  const quote = getQuote(Number(req.params.id));
+  if (!quote) {
+    res.status(404).json({ error: 'Quote not found' });
+    return;
+  }
+  const input = quoteInput(quote);
+  const pricing = quotePricing(currentPricing(), input);
+  if (!pricing.isContractTerm(input.contractYears)) {
+    res.status(409).json({ error: `Contract length ${input.contractYears} is no longer offered` });
+    return;
+  }
+  const current = buildQuote(pricing, input, true);
+  res.json({
+    quote: quoteSummary(quote),
+    quoted: quote.result,
+    current,
+    changes: diffConfig(quote.result, current),
+    configVersion: { quoted: quote.configVersion, current: liveConfigVersionId() || null },
+    configChanges: diffConfig(quote.config, pricing.config),
+  });
+});
+
+app.get('/api/installed-base', requireRole('viewer'), (req, res) => {
+  const { errors, date } = parseDateParam(req.query.date, 'date');
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid installed-base request', fields: errors });
+    return;
+  }
+  const limit = Math.max(1, Math.min(5000, parseInt(req.query.limit, 10) || 500));
+  res.json({
+    date,
+    activeUnits: countActiveUnits(date),
+    totalRecords: countInstalledUnits(),
+    units: listInstalledUnits().slice(0, limit),
+  });
+});
+
+// CSV body (Content-Type: text/csv) or JSON { csv }; rows upsert by serial
+app.post('/api/installed-base/import', requireRole('editor'), express.text({ type: 'text/csv', limit: '5mb' }), (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+  if (typeof text !== 'string' || !text.trim()) {
+    res.status(400).json({ error: 'Invalid installed-base CSV', fields: [{ field: 'csv', message: 'is required' }] });
+    return;
+  }
+  const { errors, units } = installedBase.parseRegisterCsv(text);
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid installed-base CSV', fields: errors.slice(0, 100) });
+    return;
+  }
+  res.json({ imported: units.length, ...importInstalledUnits(units) });
+});
+
+app.delete('/api/installed-base/:serial', requireRole('editor'), (req, res) => {
+  if (!deleteInstalledUnit(req.params.serial)) {
+    res.status(404).json({ error: 'Unit not found' });
+    return;
+  }
   res.json({ ok: true });
 });
 
-app.get('/api/lock-password', (req, res) => {
-  const password = process.env.LOCK_PASSWORD || 'fluxmargins';
-  res.json({ password });
+/**
+ * Estimated Y2+ price for a register unit: the current Y2+ list price net of the contract
+ * discount for its part number's length (the plain list price when the length is unknown)
+ */
+function registerYear2Price(pricing, partNumber) {
+  const listPrice = pricing.displayListYear2();
+  const years = installedBase.partNumberYears(partNumber);
+  return years ? pricing.roundUp10(listPrice * (1 - pricing.contractDiscount(years))) : listPrice;
+}
+
+// Units coming off contract per quarter; units without an annualPrice are estimated per part number
+app.get('/api/installed-base/renewals', requireRole('viewer'), (req, res) => {
+  const { errors, date } = parseDateParam(req.query.from, 'from');
+  const hasQuarters = req.query.quarters !== undefined && req.query.quarters !== '';
+  const quarters = hasQuarters ? Number(req.query.quarters) : undefined;
+  if (hasQuarters && (!Number.isInteger(quarters) || quarters < 1 || quarters > 40)) {
+    errors.push({ field: 'quarters', message: 'must be a whole number from 1 to 40' });
+  }
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid renewal forecast request', fields: errors });
+    return;
+  }
+  const pricing = currentPricing();
+  res.json(installedBase.renewalForecast(listInstalledUnits(), {
+    from: date,
+    quarters,
+    year2Price: (partNumber) => registerYear2Price(pricing, partNumber),
+  }));
+});
+
+app.get('/api/export/price-grid.:format(csv|xlsx)', requireRole('viewer'), (req, res) => {
+  const pricing = currentPricing();
+  const grid = parsePriceGridQuery(req.query, pricing);
+  if (grid.errors.length) {
+    res.status(400).json({ error: 'Invalid export request', fields: grid.errors });
+    return;
+  }
+  const rows = priceGridRows(pricing, grid);
+  res.set('Content-Disposition', `attachment; filename="${exportFilename(req.params.format)}"`);
+
+  if (req.params.format === 'csv') {
+    res.type('text/csv').send(spreadsheet.toCsv(PRICE_GRID_COLUMNS, rows));
+    return;
+  }
+
+  const sheets = grid.perContract
+    ? grid.contracts.map((years) => ({
+      name: pricing.partNumber(years),
+      columns: PRICE_GRID_COLUMNS,
+      rows: rows.filter((row) => row.contractYears === years),
+    }))
+    : [{ name: 'Price Grid', columns: PRICE_GRID_COLUMNS, rows }];
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').send(spreadsheet.toXlsx(sheets));
+});
+
+// Guardrail breaches over the same grid as the export (same query parameters)
+app.get('/api/guardrails', requireRole('viewer'), (req, res) => {
+  const pricing = currentPricing();
+  const grid = parsePriceGridQuery(req.query, pricing);
+  if (grid.errors.length) {
+    res.status(400).json({ error: 'Invalid guardrail request', fields: grid.errors });
+    return;
+  }
+  res.json({
+    guardrails: pricing.config.guardrails,
+    ...pricing.guardrailReport(grid.rates, grid.durations, grid.contracts, grid.existingFleet),
+  });
+});
+
+// ?contractYears=2,7 adds non-standard contract lengths to the standard ones
+app.get('/api/price-sheet', (req, res) => {
+  const pricing = currentPricing();
+  const { errors, terms } = parseContractTerms(req.query.contractYears, pricing);
+  if (errors.length) {
+    res.status(400).json({ error: 'Invalid contract length', fields: errors });
+    return;
+  }
+  res.json(cachedPriceSheet(pricing, `terms:${terms.join(',')}`,
+    () => pricing.priceSheet(PRICE_SHEET_RATES, PRICE_SHEET_DURATIONS, undefined, terms)));
+});
+
+app.get('/api/price-sheet/ramp', (req, res) => {
+  const pricing = currentPricing();
+  const { errors, ramp } = parseRamp(req.query.ramp || '');
+  const extra = parseContractTerms(req.query.contractYears, pricing);
+  if (errors.length || extra.errors.length) {
+    res.status(400).json({ error: errors.length ? 'Invalid ramp' : 'Invalid contract length', fields: errors.concat(extra.errors) });
+    return;
+  }
+  res.json(cachedPriceSheet(pricing, `ramp:${JSON.stringify(ramp)}:terms:${extra.terms.join(',')}`,
+    () => pricing.rampPriceSheet(ramp, undefined, extra.terms)));
+});
+
+// Public: events only carry version ids, never config contents
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  eventClients.add(res);
+  req.on('close', () => eventClients.delete(res));
+});
+
+app.get('/api/health', (req, res) => {
+  res.json({ ok: true });
 });
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'login.html'));
+});
+
 app.get('/margins', (req, res) => {
+  if (!auth.hasRole(req.user, 'viewer')) {
+    res.redirect('/login?next=/margins');
+    return;
+  }
   res.sendFile(path.join(__dirname, 'margins.html'));
 });
 
-app.get('/config.js', (req, res) => {
+// Printable quote for ad-hoc inputs (same query fields as POST /api/quote, plus customer)
+app.get('/quote-document', (req, res) => {
+  const pricing = currentPricing();
+  const input = checkRegisterAccess(req, parseQuoteInput(req.query, pricing));
+  if (input.errors.length) {
+    res.status(400).type('text/plain').send(input.errors.map((e) => `${e.field} ${e.message}`).join('\n'));
+    return;
+  }
+  res.type('html').send(quoteDocument.renderQuoteDocument({
+    pricing: quotePricing(pricing, input),
+    input,
+    customerName: String(req.query.customer || '').trim().slice(0, 200),
+    validDays: QUOTE_VALIDITY_DAYS,
+    hideExistingFleet: !isAuthorized(req) && registerFleet(pricing, input),
+  }));
+});
+
+// Printable saved quote, priced from its frozen config snapshot
+app.get('/quotes/:id/document', (req, res) => {
+  if (!auth.hasRole(req.user, 'viewer')) {
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    return;
+  }
+  const quote = getQuote(Number(req.params.id));
+  if (!quote) {
+    res.status(404).type('text/plain').send('Quote not found');
+    return;
+  }
+  res.type('html').send(quoteDocument.renderQuoteDocument({
+    pricing: createPricing(quote.config),
+    input: quoteInput(quote),
+    customerName: quote.customerName,
+    reference: `Q-${quote.id}`,
+    issuedAt: quote.createdAt,
+    validDays: QUOTE_VALIDITY_DAYS,
+  }));
+});
+
+app.get('/config.js', requireRole('viewer'), (req, res) => {
   res.sendFile(path.join(__dirname, 'config.js'));
 });
 
-app.get('/pricing.js', (req, res) => {
+app.get('/pricing.js', requireRole('viewer'), (req, res) => {
   res.sendFile(path.join(__dirname, 'pricing.js'));
 });
 
@@ -152,6 +1508,11 @@ app.get('/logo.png', (req, res) => {
   res.sendFile(path.join(__dirname, 'logo.png'));
 });
 
+// Comment lines keep idle streams open through proxies
+setInterval(() => {
+  eventClients.forEach((res) => res.write(': ping\n\n'));
+}, EVENT_HEARTBEAT_MS).unref();
+
 app.listen(PORT, () => {
   console.log(`SRS pricing app listening on port ${PORT}`);
 });